@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo, createContext, useContext } from 'react';
 
 /**
  * BYOK Secure Storage - React Component
@@ -24,10 +24,51 @@ import React, { useState, useEffect, useRef, useCallback, createContext, useCont
 // ENCRYPTION UTILITIES
 // ============================================================================
 
+/**
+ * Ciphertext envelope
+ *
+ * Vault blobs are stored as a JSON envelope that records everything needed to
+ * decrypt them, so the parameters used for new writes can change without
+ * breaking existing vaults:
+ *
+ *   {
+ *     format: 'byok-vault',
+ *     version: 1,
+ *     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000, salt }
+ *          | { name: 'device-key' },
+ *     cipher: { name: 'AES-GCM', length: 256, iv },
+ *     ciphertext
+ *   }
+ *
+ * Binary fields are base64. Blobs written before the envelope existed
+ * (version 0) are bare base64 strings and are still readable.
+ */
+const ENVELOPE_FORMAT = 'byok-vault';
+const ENVELOPE_VERSION = 1;
+
+const KDF_PARAMS = {
+  name: 'PBKDF2',
+  hash: 'SHA-256',
+  iterations: 100000
+};
+
+const CIPHER_PARAMS = {
+  name: 'AES-GCM',
+  length: 256
+};
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
 /**
  * Derives an encryption key from a password using PBKDF2
  */
-async function deriveKey(password, salt) {
+async function deriveKey(password, salt, { iterations, hash } = KDF_PARAMS) {
   const encoder = new TextEncoder();
   const keyMaterial = await crypto.subtle.importKey(
     'raw',
@@ -41,8 +82,8 @@ async function deriveKey(password, salt) {
     {
       name: 'PBKDF2',
       salt: salt,
-      iterations: 100000,
-      hash: 'SHA-256'
+      iterations: iterations,
+      hash: hash
     },
     keyMaterial,
     { name: 'AES-GCM', length: 256 },
@@ -52,45 +93,166 @@ async function deriveKey(password, salt) {
 }
 
 /**
- * Encrypts data using AES-GCM
+ * Derives a password key, reusing one from `secret.keyCache` when the same
+ * salt and parameters were derived before
  */
-async function encryptData(data, password) {
-  const encoder = new TextEncoder();
-  const salt = crypto.getRandomValues(new Uint8Array(16));
+async function getPasswordKey(secret, salt, { iterations, hash }) {
+  const cacheKey = `${toBase64(salt)}|${iterations}|${hash}`;
+  const cached = secret.keyCache && secret.keyCache.get(cacheKey);
+  if (cached) return cached.key;
+
+  const key = await deriveKey(secret.password, salt, { iterations, hash });
+  if (secret.keyCache) {
+    secret.keyCache.set(cacheKey, { salt, iterations, hash, key });
+  }
+  return key;
+}
+
+/**
+ * Generates a non-extractable AES-GCM key for device-bound encryption
+ */
+async function generateDeviceKey() {
+  return crypto.subtle.generateKey(
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Short, non-reversible fingerprint of an API key: the first 8 hex digits of
+ * its SHA-256 hash
+ */
+async function fingerprintKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest).slice(0, 4), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Encrypts data into a current-version envelope.
+ * `secret` is either { password } or { key } (a CryptoKey).
+ */
+async function encryptData(data, secret) {
   const iv = crypto.getRandomValues(new Uint8Array(12));
-  const key = await deriveKey(password, salt);
-  
+  let kdf;
+  let key;
+
+  if (secret.key) {
+    kdf = { name: 'device-key' };
+    key = secret.key;
+  } else {
+    // Reuse a cached derivation with current parameters; the IV stays unique
+    const cached = secret.keyCache && [...secret.keyCache.values()].find(
+      (entry) => entry.iterations === KDF_PARAMS.iterations && entry.hash === KDF_PARAMS.hash
+    );
+    const salt = cached ? cached.salt : crypto.getRandomValues(new Uint8Array(16));
+    kdf = { ...KDF_PARAMS, salt: toBase64(salt) };
+    key = await getPasswordKey(secret, salt, KDF_PARAMS);
+  }
+
   const encrypted = await crypto.subtle.encrypt(
-    { name: 'AES-GCM', iv: iv },
+    { name: CIPHER_PARAMS.name, iv: iv },
     key,
-    encoder.encode(data)
+    new TextEncoder().encode(data)
   );
-  
-  const combined = new Uint8Array(salt.length + iv.length + encrypted.byteLength);
-  combined.set(salt, 0);
-  combined.set(iv, salt.length);
-  combined.set(new Uint8Array(encrypted), salt.length + iv.length);
-  
-  return btoa(String.fromCharCode(...combined));
+
+  return JSON.stringify({
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf,
+    cipher: { ...CIPHER_PARAMS, iv: toBase64(iv) },
+    ciphertext: toBase64(encrypted)
+  });
 }
 
 /**
- * Decrypts data using AES-GCM
+ * Parse a stored blob into an envelope, or null for a version 0 blob
  */
-async function decryptData(encryptedBase64, password) {
+function parseEnvelope(blob) {
+  if (!blob.startsWith('{')) return null;
   try {
-    const combined = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
-    const salt = combined.slice(0, 16);
-    const iv = combined.slice(16, 28);
-    const encrypted = combined.slice(28);
-    
-    const key = await deriveKey(password, salt);
-    const decrypted = await crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: iv },
-      key,
-      encrypted
+    const envelope = JSON.parse(blob);
+    return envelope && envelope.format === ENVELOPE_FORMAT ? envelope : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a blob was encrypted with a device key, which no password can
+ * stand in for. Version 0 blobs do not say, so they count as password ones.
+ */
+function isDeviceKeyBlob(blob) {
+  return parseEnvelope(blob)?.kdf?.name === 'device-key';
+}
+
+/**
+ * Version 0: bare base64 of salt + IV + ciphertext (password),
+ * or IV + ciphertext (device key)
+ */
+async function decryptVersion0(blob, secret) {
+  const combined = fromBase64(blob);
+
+  if (secret.key) {
+    return crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: combined.slice(0, 12) },
+      secret.key,
+      combined.slice(12)
     );
-    
+  }
+
+  const key = await getPasswordKey(secret, combined.slice(0, 16), { iterations: 100000, hash: 'SHA-256' });
+  return crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: combined.slice(16, 28) },
+    key,
+    combined.slice(28)
+  );
+}
+
+/**
+ * Version 1: JSON envelope
+ */
+async function decryptVersion1(envelope, secret) {
+  const { kdf, cipher } = envelope;
+  let key;
+
+  if (kdf.name === 'device-key') {
+    if (!secret.key) throw new Error('Envelope requires the device key');
+    key = secret.key;
+  } else if (kdf.name === 'PBKDF2') {
+    if (secret.password == null) throw new Error('Envelope requires a password');
+    key = await getPasswordKey(secret, fromBase64(kdf.salt), kdf);
+  } else {
+    throw new Error(`Unsupported KDF "${kdf.name}"`);
+  }
+
+  return crypto.subtle.decrypt(
+    { name: cipher.name, iv: fromBase64(cipher.iv) },
+    key,
+    fromBase64(envelope.ciphertext)
+  );
+}
+
+const ENVELOPE_DECRYPTORS = {
+  1: decryptVersion1
+};
+
+/**
+ * Decrypts a blob of any known version. Returns null on failure.
+ */
+async function decryptData(blob, secret) {
+  try {
+    const envelope = parseEnvelope(blob);
+    let decrypted;
+
+    if (!envelope) {
+      decrypted = await decryptVersion0(blob, secret);
+    } else {
+      const decryptor = ENVELOPE_DECRYPTORS[envelope.version];
+      if (!decryptor) throw new Error(`Unsupported envelope version ${envelope.version}`);
+      decrypted = await decryptor(envelope, secret);
+    }
+
     return new TextDecoder().decode(decrypted);
   } catch {
     return null;
@@ -98,304 +260,3407 @@ async function decryptData(encryptedBase64, password) {
 }
 
 // ============================================================================
-// SECURE KEY STORAGE CLASS
+// STORAGE BACKENDS
 // ============================================================================
 
 /**
- * SecureKeyStorage class for managing encrypted API keys
+ * Storage backend contract
+ *
+ * A backend is any object that persists string values under string keys and
+ * exposes three async methods:
+ *
+ *   getItem(key)        -> Promise<string | null>
+ *   setItem(key, value) -> Promise<void>
+ *   removeItem(key)     -> Promise<void>
+ *
+ * SecureKeyStorage only ever hands encrypted blobs and metadata JSON to the
+ * backend, so implementations never see plaintext keys.
  */
-export class SecureKeyStorage {
-  constructor(appName, options = {}) {
-    this.appName = appName;
-    this.storageKey = `${appName}_byok_storage`;
-    this.metadataKey = `${appName}_byok_metadata`;
-    this.encryptionPassword = options.encryptionPassword || this._generateDeviceFingerprint();
-    this.providers = options.providers || ['openai', 'anthropic', 'cohere', 'custom'];
-    this.onKeyChange = options.onKeyChange || null;
-  }
 
-  /**
-   * Generate a device fingerprint for encryption
-   */
-  _generateDeviceFingerprint() {
-    const components = [
-      navigator.userAgent,
-      navigator.language,
-      screen.width,
-      screen.height,
-      new Date().getTimezoneOffset(),
-      this.appName
-    ];
-    return components.join('|');
+/**
+ * Backend over a Web Storage object (localStorage / sessionStorage)
+ */
+export class WebStorageBackend {
+  constructor(storageArea) {
+    this.storageArea = storageArea;
   }
 
-  /**
-   * Store API key with encryption
-   */
-  async storeKey(key, provider = 'default') {
-    try {
-      if (!key || !this.validateKeyFormat(key)) {
-        throw new Error('Invalid API key format');
-      }
+  async getItem(key) {
+    return this.storageArea.getItem(key);
+  }
 
-      const existingData = await this._loadAllKeys();
-      existingData[provider] = key;
-      
-      const encrypted = await encryptData(JSON.stringify(existingData), this.encryptionPassword);
-      localStorage.setItem(this.storageKey, encrypted);
-      
-      this._updateMetadata(provider, 'stored');
-      
-      if (this.onKeyChange) {
-        this.onKeyChange({ action: 'stored', provider });
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('SecureKeyStorage: Failed to store key', error);
-      return false;
-    }
+  async setItem(key, value) {
+    this.storageArea.setItem(key, value);
   }
 
-  /**
-   * Retrieve API key
-   */
-  async retrieveKey(provider = 'default') {
-    try {
-      const keys = await this._loadAllKeys();
-      return keys[provider] || null;
-    } catch {
-      return null;
-    }
+  async removeItem(key) {
+    this.storageArea.removeItem(key);
   }
+}
 
-  /**
-   * Delete API key
-   */
-  async deleteKey(provider = 'default') {
-    try {
-      const existingData = await this._loadAllKeys();
-      
-      if (existingData[provider]) {
-        delete existingData[provider];
-        
-        if (Object.keys(existingData).length === 0) {
-          localStorage.removeItem(this.storageKey);
-        } else {
-          const encrypted = await encryptData(JSON.stringify(existingData), this.encryptionPassword);
-          localStorage.setItem(this.storageKey, encrypted);
-        }
-        
-        this._updateMetadata(provider, 'deleted');
-        
-        if (this.onKeyChange) {
-          this.onKeyChange({ action: 'deleted', provider });
-        }
-        
-        return true;
-      }
-      return false;
-    } catch {
-      return false;
-    }
+/**
+ * Persistent browser storage (default)
+ */
+export class LocalStorageBackend extends WebStorageBackend {
+  constructor() {
+    super(window.localStorage);
   }
+}
 
-  /**
-   * Check if key exists
-   */
-  async hasKey(provider = 'default') {
-    const key = await this.retrieveKey(provider);
-    return key !== null && key.length > 0;
+/**
+ * Storage scoped to the current tab, cleared when the tab closes
+ */
+export class SessionStorageBackend extends WebStorageBackend {
+  constructor() {
+    super(window.sessionStorage);
   }
+}
 
-  /**
-   * Get all configured providers
-   */
-  async getConfiguredProviders() {
-    const keys = await this._loadAllKeys();
-    return Object.keys(keys);
+/**
+ * IndexedDB-backed storage
+ */
+export class IndexedDBBackend {
+  constructor(dbName = 'byok_secure_storage', storeName = 'vault') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this._dbPromise = null;
   }
 
-  /**
-   * Validate API key format
-   */
-  validateKeyFormat(key) {
-    if (!key || key.length < 10) {
-      return false;
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
     }
+    return this._dbPromise;
+  }
 
-    const patterns = {
-      openai: /^sk-[a-zA-Z0-9_-]{20,}$/,
-      anthropic: /^sk-ant-[a-zA-Z0-9_-]{20,}$/,
-      cohere: /^[a-zA-Z0-9]{20,}$/,
-      custom: /^.{10,}$/
-    };
-
-    return Object.values(patterns).some(pattern => pattern.test(key));
+  async _run(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
   }
 
-  /**
-   * Detect provider from key format
-   */
-  detectProvider(key) {
-    if (key.startsWith('sk-ant-')) return 'anthropic';
-    if (key.startsWith('sk-')) return 'openai';
-    if (/^[a-zA-Z0-9]{40}$/.test(key)) return 'cohere';
-    return 'custom';
+  async getItem(key) {
+    const value = await this._run('readonly', (store) => store.get(key));
+    return value === undefined ? null : value;
   }
 
-  /**
-   * Mask key for display
-   */
-  maskKey(key) {
-    if (!key || key.length <= 8) return '••••••••';
-    return `${key.slice(0, 7)}${'•'.repeat(Math.min(key.length - 11, 20))}${key.slice(-4)}`;
+  async setItem(key, value) {
+    await this._run('readwrite', (store) => store.put(value, key));
   }
 
   /**
-   * Load all keys from storage
+   * Store a value only if the key is free, in a single transaction.
+   * Resolves false if the key already exists.
    */
-  async _loadAllKeys() {
+  async addItem(key, value) {
     try {
-      const encrypted = localStorage.getItem(this.storageKey);
-      if (!encrypted) return {};
-      
-      const decrypted = await decryptData(encrypted, this.encryptionPassword);
-      return decrypted ? JSON.parse(decrypted) : {};
-    } catch {
-      return {};
+      await this._run('readwrite', (store) => store.add(value, key));
+      return true;
+    } catch (error) {
+      if (error && error.name === 'ConstraintError') return false;
+      throw error;
     }
   }
 
-  /**
-   * Update metadata
-   */
-  _updateMetadata(provider, action) {
-    try {
-      const metadata = JSON.parse(localStorage.getItem(this.metadataKey) || '{}');
-      metadata[provider] = {
-        lastAction: action,
-        timestamp: new Date().toISOString()
-      };
-      localStorage.setItem(this.metadataKey, JSON.stringify(metadata));
-    } catch {
-      // Silent fail for metadata
-    }
+  async removeItem(key) {
+    await this._run('readwrite', (store) => store.delete(key));
   }
+}
 
-  /**
-   * Get metadata
-   */
-  getMetadata(provider = 'default') {
-    try {
-      const metadata = JSON.parse(localStorage.getItem(this.metadataKey) || '{}');
-      return metadata[provider] || null;
-    } catch {
-      return null;
-    }
+/**
+ * Non-persistent storage held in memory (tests, server rendering)
+ */
+export class MemoryBackend {
+  constructor(initialData = {}) {
+    this.data = new Map(Object.entries(initialData));
   }
 
-  /**
-   * Clear all stored data
-   */
-  clearAll() {
-    localStorage.removeItem(this.storageKey);
-    localStorage.removeItem(this.metadataKey);
-    if (this.onKeyChange) {
-      this.onKeyChange({ action: 'cleared_all' });
-    }
+  async getItem(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.data.set(key, String(value));
+  }
+
+  async removeItem(key) {
+    this.data.delete(key);
   }
 }
 
-// ============================================================================
-// REACT CONTEXT
-// ============================================================================
+const BUILT_IN_BACKENDS = {
+  localStorage: () => new LocalStorageBackend(),
+  sessionStorage: () => new SessionStorageBackend(),
+  indexedDB: () => new IndexedDBBackend(),
+  memory: () => new MemoryBackend()
+};
 
-const BYOKContext = createContext(null);
+/**
+ * Resolve a backend option: a built-in name or a custom backend object
+ */
+export function createStorageBackend(backend = 'localStorage') {
+  if (typeof backend === 'string') {
+    const factory = BUILT_IN_BACKENDS[backend];
+    if (!factory) {
+      throw new Error(`Unknown storage backend "${backend}"`);
+    }
+    return factory();
+  }
 
-export function useBYOK() {
-  const context = useContext(BYOKContext);
-  if (!context) {
-    throw new Error('useBYOK must be used within a BYOKProvider');
+  const isValid = backend &&
+    ['getItem', 'setItem', 'removeItem'].every((method) => typeof backend[method] === 'function');
+  if (!isValid) {
+    throw new Error('Storage backend must implement getItem, setItem and removeItem');
   }
-  return context;
+  return backend;
 }
 
 // ============================================================================
-// PROVIDER COMPONENT
+// PROVIDER REGISTRY
 // ============================================================================
+//
+// A provider definition describes everything the library knows about a
+// provider's keys:
+//
+//   id           Storage id, e.g. 'openai'
+//   label        Display name
+//   keyPattern   RegExp a key for this provider matches
+//   detect       (key) => boolean, true if the key clearly belongs to it
+//   helpUrl      Where users create a key
+//   placeholder  Placeholder for the key input
+//   fields       Extra credential fields besides the key (see below)
+//   keyOptional  true for servers that work without a key (local runtimes)
+//   test         { url, method, body } request used to test a key, or a
+//                function of the credential returning one
+//   classifyTest (httpStatus, body) => verification status of a test
+//                response, or null for the default rules (see KEY VERIFICATION)
+//   authHeaders  (key, credential) => headers that authenticate a request
+//   chat         { format, url, defaultModel, streamUsage } used by the chat
+//                client (see CHAT CLIENT); url and defaultModel may be
+//                functions of the credential
+//   capabilities Tags for what the API offers besides chat, e.g. 'vision',
+//                'embeddings', 'images'. 'chat' is implied by `chat`.
+//
+// A credential is either a plain key string or, for providers with
+// `fields`, an object holding the key plus the extra fields, e.g.
+// { key, endpoint, deployment, apiVersion }. Each field is described by
+// { name, label, type, secret, required, placeholder, defaultValue }; secret
+// fields are masked in the UI. The whole credential is encrypted either way.
+//
+// detectProvider checks the most recently registered providers first, so
+// register specific key prefixes after general ones.
+
+const providerRegistry = new Map();
+
+const GENERIC_KEY_PATTERN = /^.{10,}$/;
 
-export function BYOKProvider({ 
-  children, 
-  appName, 
-  providers = ['openai', 'anthropic'],
-  onKeyChange,
-  theme = 'auto'
-}) {
-  const [storage] = useState(() => new SecureKeyStorage(appName, { providers, onKeyChange }));
-  const [hasKey, setHasKey] = useState({});
-  const [isLoading, setIsLoading] = useState(true);
-  const [showSetup, setShowSetup] = useState(false);
-  const [showSettings, setShowSettings] = useState(false);
-  const setupShownRef = useRef(false);
-  const [activeProvider, setActiveProvider] = useState('openai');
-  const [resolvedTheme, setResolvedTheme] = useState('light');
+/**
+ * Add a provider definition, or replace the one with the same id
+ */
+export function registerProvider(definition) {
+  if (!definition || typeof definition.id !== 'string' || !definition.id) {
+    throw new Error('Provider definition must have an id');
+  }
+  if (definition.keyPattern && !(definition.keyPattern instanceof RegExp)) {
+    throw new Error(`Provider "${definition.id}" keyPattern must be a RegExp`);
+  }
 
-  useEffect(() => {
-    if (theme === 'auto') {
-      const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-      setResolvedTheme(mediaQuery.matches ? 'dark' : 'light');
-      const handler = (e) => setResolvedTheme(e.matches ? 'dark' : 'light');
-      mediaQuery.addEventListener('change', handler);
-      return () => mediaQuery.removeEventListener('change', handler);
-    } else {
-      setResolvedTheme(theme);
-    }
-  }, [theme]);
+  const provider = {
+    label: definition.id.charAt(0).toUpperCase() + definition.id.slice(1),
+    keyPattern: GENERIC_KEY_PATTERN,
+    detect: null,
+    helpUrl: null,
+    placeholder: 'Your API key',
+    fields: [],
+    keyOptional: false,
+    test: null,
+    classifyTest: null,
+    authHeaders: null,
+    chat: null,
+    capabilities: [],
+    ...definition
+  };
 
-  const checkKeys = useCallback(async () => {
-    setIsLoading(true);
-    const keyStatus = {};
-    for (const provider of providers) {
-      keyStatus[provider] = await storage.hasKey(provider);
-    }
-    setHasKey(keyStatus);
+  // Re-insert so a replaced provider counts as the most recent for detection
+  providerRegistry.delete(provider.id);
+  providerRegistry.set(provider.id, provider);
+  return provider;
+}
+
+/**
+ * Get a registered provider definition, or null
+ */
+export function getProvider(id) {
+  return providerRegistry.get(id) || null;
+}
+
+/**
+ * All registered provider definitions, in registration order
+ */
+export function getRegisteredProviders() {
+  return Array.from(providerRegistry.values());
+}
+
+/**
+ * Display name of a provider, falling back to its id
+ */
+export function getProviderLabel(id) {
+  return getProvider(id)?.label || id;
+}
+
+/**
+ * Whether a provider offers a capability such as 'chat' or 'vision'
+ */
+export function providerSupports(id, capability) {
+  const provider = getProvider(id);
+  if (!provider) return false;
+  return capability === 'chat' ? Boolean(provider.chat) : provider.capabilities.includes(capability);
+}
+
+/**
+ * Headers that authenticate a request to a provider with the given key or
+ * credential. Providers without `authHeaders` use a bearer token.
+ */
+export function getAuthHeaders(id, credential) {
+  const provider = getProvider(id);
+  const { key } = toCredential(credential);
+  return provider?.authHeaders
+    ? provider.authHeaders(key, toCredential(credential))
+    : { Authorization: `Bearer ${key}` };
+}
+
+/**
+ * The request that tests a provider credential, or null if it has none
+ */
+function getTestRequest(id, credential) {
+  const test = getProvider(id)?.test;
+  return typeof test === 'function' ? test(toCredential(credential)) : test || null;
+}
+
+/**
+ * Credential as an object ({ key, ...fields }), whether stored as a plain
+ * key string or an object
+ */
+export function toCredential(value) {
+  return typeof value === 'string' ? { key: value } : { key: '', ...value };
+}
+
+/**
+ * The key of a stored credential: '' for a keyless one, null if nothing is stored
+ */
+function credentialKey(value) {
+  if (value == null) return null;
+  return typeof value === 'string' ? value : value.key || '';
+}
+
+/**
+ * Storage form of a credential: empty fields dropped, and a plain string
+ * when nothing but the key is left
+ */
+function compactCredential(value) {
+  const credential = Object.fromEntries(
+    Object.entries(toCredential(value)).filter(([, fieldValue]) => fieldValue !== '' && fieldValue != null)
+  );
+  return Object.keys(credential).length === 1 && 'key' in credential ? credential.key : credential;
+}
+
+function credentialsEqual(a, b) {
+  const first = toCredential(a);
+  const second = toCredential(b);
+  const names = new Set([...Object.keys(first), ...Object.keys(second)]);
+  return [...names].every((name) => (first[name] ?? '') === (second[name] ?? ''));
+}
+
+/**
+ * Definition for an OpenAI-compatible server such as Ollama, LM Studio or
+ * vLLM: a base URL and an optional key
+ */
+export function openAICompatibleProvider({ id, label, baseUrl = '', helpUrl = null }) {
+  return {
+    id,
+    label,
+    helpUrl,
+    keyOptional: true,
+    keyPattern: /^\S+$/,
+    placeholder: 'Leave empty if the server has no key',
+    fields: [
+      {
+        name: 'baseUrl',
+        label: 'Base URL',
+        type: 'url',
+        required: true,
+        defaultValue: baseUrl,
+        placeholder: baseUrl || 'http://localhost:8000/v1'
+      }
+    ],
+    test: (credential) => ({ url: `${credential.baseUrl.replace(/\/+$/, '')}/models` }),
+    authHeaders: (key) => (key ? { Authorization: `Bearer ${key}` } : {}),
+    chat: {
+      format: 'openai',
+      url: (credential) => `${credential.baseUrl.replace(/\/+$/, '')}/chat/completions`
+    }
+  };
+}
+
+/**
+ * Normalize a `providers` option: registers any definition objects and
+ * returns the list of provider ids
+ */
+export function resolveProviders(providers) {
+  return providers.map((provider) => (
+    typeof provider === 'string' ? provider : registerProvider(provider).id
+  ));
+}
+
+const bearerAuth = (key) => ({ Authorization: `Bearer ${key}` });
+
+[
+  {
+    id: 'custom',
+    label: 'Custom',
+    helpUrl: 'https://platform.openai.com/api-keys'
+  },
+  openAICompatibleProvider({
+    id: 'openai-compatible',
+    label: 'OpenAI-Compatible'
+  }),
+  openAICompatibleProvider({
+    id: 'ollama',
+    label: 'Ollama',
+    baseUrl: 'http://localhost:11434/v1',
+    helpUrl: 'https://ollama.com/download'
+  }),
+  openAICompatibleProvider({
+    id: 'lmstudio',
+    label: 'LM Studio',
+    baseUrl: 'http://localhost:1234/v1',
+    helpUrl: 'https://lmstudio.ai/docs/app/api'
+  }),
+  openAICompatibleProvider({
+    id: 'vllm',
+    label: 'vLLM',
+    baseUrl: 'http://localhost:8000/v1',
+    helpUrl: 'https://docs.vllm.ai/en/latest/serving/openai_compatible_server.html'
+  }),
+  {
+    id: 'cohere',
+    label: 'Cohere',
+    keyPattern: /^[a-zA-Z0-9]{20,}$/,
+    detect: (key) => /^[a-zA-Z0-9]{40}$/.test(key),
+    helpUrl: 'https://dashboard.cohere.com/api-keys',
+    test: { url: 'https://api.cohere.ai/v1/check-api-key' },
+    // Answers 200 with { valid: false } for unknown keys
+    classifyTest: (httpStatus, body) => (httpStatus === 200 && body?.valid === false ? 'invalid' : null),
+    authHeaders: bearerAuth,
+    chat: { format: 'cohere', url: 'https://api.cohere.com/v2/chat', defaultModel: 'command-r-08-2024' },
+    capabilities: ['embeddings']
+  },
+  {
+    // No distinctive prefix, so Mistral keys are never auto-detected
+    id: 'mistral',
+    label: 'Mistral',
+    keyPattern: /^[a-zA-Z0-9]{32}$/,
+    helpUrl: 'https://console.mistral.ai/api-keys',
+    test: { url: 'https://api.mistral.ai/v1/models' },
+    authHeaders: bearerAuth,
+    chat: { format: 'openai', url: 'https://api.mistral.ai/v1/chat/completions' },
+    capabilities: ['vision', 'embeddings']
+  },
+  {
+    // Older Together keys are bare hex and are not auto-detected
+    id: 'together',
+    label: 'Together AI',
+    keyPattern: /^(tgp_v1_[a-zA-Z0-9_-]{20,}|[a-f0-9]{64})$/,
+    detect: (key) => key.startsWith('tgp_'),
+    helpUrl: 'https://api.together.ai/settings/api-keys',
+    placeholder: 'tgp_v1_...',
+    test: { url: 'https://api.together.xyz/v1/models' },
+    authHeaders: bearerAuth,
+    chat: { format: 'openai', url: 'https://api.together.xyz/v1/chat/completions' },
+    capabilities: ['embeddings', 'images']
+  },
+  {
+    id: 'gemini',
+    label: 'Google Gemini',
+    keyPattern: /^AIza[a-zA-Z0-9_-]{35}$/,
+    detect: (key) => key.startsWith('AIza'),
+    helpUrl: 'https://aistudio.google.com/app/apikey',
+    placeholder: 'AIza...',
+    test: { url: 'https://generativelanguage.googleapis.com/v1beta/models' },
+    authHeaders: (key) => ({ 'x-goog-api-key': key }),
+    capabilities: ['vision', 'embeddings']
+  },
+  {
+    id: 'groq',
+    label: 'Groq',
+    keyPattern: /^gsk_[a-zA-Z0-9]{20,}$/,
+    detect: (key) => key.startsWith('gsk_'),
+    helpUrl: 'https://console.groq.com/keys',
+    placeholder: 'gsk_...',
+    test: { url: 'https://api.groq.com/openai/v1/models' },
+    authHeaders: bearerAuth,
+    chat: { format: 'openai', url: 'https://api.groq.com/openai/v1/chat/completions' }
+  },
+  {
+    id: 'huggingface',
+    label: 'Hugging Face',
+    keyPattern: /^hf_[a-zA-Z0-9]{20,}$/,
+    detect: (key) => key.startsWith('hf_'),
+    helpUrl: 'https://huggingface.co/settings/tokens',
+    placeholder: 'hf_...',
+    test: { url: 'https://huggingface.co/api/whoami-v2' },
+    authHeaders: bearerAuth
+  },
+  {
+    id: 'xai',
+    label: 'xAI',
+    keyPattern: /^xai-[a-zA-Z0-9]{20,}$/,
+    detect: (key) => key.startsWith('xai-'),
+    helpUrl: 'https://console.x.ai',
+    placeholder: 'xai-...',
+    test: { url: 'https://api.x.ai/v1/models' },
+    authHeaders: bearerAuth,
+    chat: { format: 'openai', url: 'https://api.x.ai/v1/chat/completions' },
+    capabilities: ['vision']
+  },
+  {
+    id: 'openai',
+    label: 'OpenAI',
+    keyPattern: /^sk-[a-zA-Z0-9_-]{20,}$/,
+    detect: (key) => key.startsWith('sk-'),
+    helpUrl: 'https://platform.openai.com/api-keys',
+    placeholder: 'sk-...',
+    fields: [
+      { name: 'organization', label: 'Organization ID', placeholder: 'org-...' },
+      { name: 'project', label: 'Project ID', placeholder: 'proj_...' }
+    ],
+    test: { url: 'https://api.openai.com/v1/models' },
+    authHeaders: (key, { organization, project }) => ({
+      Authorization: `Bearer ${key}`,
+      ...(organization && { 'OpenAI-Organization': organization }),
+      ...(project && { 'OpenAI-Project': project })
+    }),
+    chat: {
+      format: 'openai',
+      url: 'https://api.openai.com/v1/chat/completions',
+      defaultModel: 'gpt-4o-mini',
+      streamUsage: true
+    },
+    capabilities: ['vision', 'embeddings', 'images']
+  },
+  {
+    id: 'azure',
+    label: 'Azure OpenAI',
+    keyPattern: /^[a-zA-Z0-9]{32,}$/,
+    helpUrl: 'https://portal.azure.com/#view/Microsoft_Azure_ProjectOxford/CognitiveServicesHub/~/OpenAI',
+    placeholder: 'Key 1 or Key 2 from Keys and Endpoint',
+    fields: [
+      { name: 'endpoint', label: 'Endpoint', required: true, placeholder: 'https://your-resource.openai.azure.com' },
+      { name: 'deployment', label: 'Deployment Name', required: true, placeholder: 'gpt-4o' },
+      { name: 'apiVersion', label: 'API Version', required: true, defaultValue: '2024-10-21' }
+    ],
+    test: ({ endpoint, apiVersion }) => ({
+      url: `${endpoint.replace(/\/+$/, '')}/openai/models?api-version=${apiVersion}`
+    }),
+    authHeaders: (key) => ({ 'api-key': key }),
+    // The deployment picks the model; the model in the request body is ignored
+    chat: {
+      format: 'openai',
+      url: ({ endpoint, deployment, apiVersion }) => (
+        `${endpoint.replace(/\/+$/, '')}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`
+      ),
+      defaultModel: ({ deployment }) => deployment,
+      streamUsage: true
+    }
+  },
+  {
+    // Registered after OpenAI so its sk- prefix is checked first
+    id: 'deepseek',
+    label: 'DeepSeek',
+    keyPattern: /^sk-[a-f0-9]{32}$/,
+    detect: (key) => /^sk-[a-f0-9]{32}$/.test(key),
+    helpUrl: 'https://platform.deepseek.com/api_keys',
+    placeholder: 'sk-...',
+    test: { url: 'https://api.deepseek.com/models' },
+    authHeaders: bearerAuth,
+    chat: {
+      format: 'openai',
+      url: 'https://api.deepseek.com/chat/completions',
+      defaultModel: 'deepseek-chat',
+      streamUsage: true
+    }
+  },
+  {
+    id: 'openrouter',
+    label: 'OpenRouter',
+    keyPattern: /^sk-or-[a-zA-Z0-9_-]{20,}$/,
+    detect: (key) => key.startsWith('sk-or-'),
+    helpUrl: 'https://openrouter.ai/keys',
+    placeholder: 'sk-or-...',
+    test: { url: 'https://openrouter.ai/api/v1/key' },
+    // The key endpoint succeeds for spent keys too; its remaining limit tells them apart
+    classifyTest: (httpStatus, body) => (
+      httpStatus === 200 && typeof body?.data?.limit_remaining === 'number' && body.data.limit_remaining <= 0
+        ? 'insufficient_quota'
+        : null
+    ),
+    authHeaders: bearerAuth,
+    chat: { format: 'openai', url: 'https://openrouter.ai/api/v1/chat/completions', streamUsage: true }
+  },
+  {
+    id: 'anthropic',
+    label: 'Anthropic',
+    keyPattern: /^sk-ant-[a-zA-Z0-9_-]{20,}$/,
+    detect: (key) => key.startsWith('sk-ant-'),
+    helpUrl: 'https://console.anthropic.com/settings/keys',
+    placeholder: 'sk-ant-...',
+    test: {
+      url: 'https://api.anthropic.com/v1/messages',
+      method: 'POST',
+      body: {
+        model: 'claude-3-haiku-20240307',
+        max_tokens: 1,
+        messages: [{ role: 'user', content: 'test' }]
+      }
+    },
+    authHeaders: (key) => ({
+      'x-api-key': key,
+      'anthropic-version': '2023-06-01',
+      // Anthropic rejects CORS requests without it; this library always calls from the browser
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }),
+    chat: { format: 'anthropic', url: 'https://api.anthropic.com/v1/messages', defaultModel: 'claude-3-5-haiku-latest' },
+    capabilities: ['vision']
+  }
+].forEach(registerProvider);
+
+// ============================================================================
+// SECURE KEY STORAGE CLASS
+// ============================================================================
+
+const BACKUP_FORMAT = 'byok-backup';
+const BACKUP_VERSION = 1;
+
+// Actions that change the stored vault and are broadcast to other tabs
+const SYNCED_ACTIONS = [
+  'stored', 'deleted', 'renamed', 'default_changed', 'rotated', 'rotation_changed',
+  'cleared_all', 'recovered', 'rekeyed', 'imported'
+];
+
+// Label given to a provider's key when none is chosen
+const DEFAULT_KEY_LABEL = 'Default';
+
+/**
+ * Bring a decrypted vault to the current shape:
+ * { [provider]: { defaultLabel, keys: { [label]: key } } }.
+ * Vaults from before labels existed map each provider to a single key string.
+ */
+function normalizeVault(data) {
+  const vault = {};
+  Object.entries(data).forEach(([provider, entry]) => {
+    if (typeof entry === 'string') {
+      vault[provider] = { defaultLabel: DEFAULT_KEY_LABEL, keys: { [DEFAULT_KEY_LABEL]: entry } };
+    } else if (entry && entry.keys && Object.keys(entry.keys).length > 0) {
+      vault[provider] = entry;
+    }
+  });
+  return vault;
+}
+
+/**
+ * Copy of a provider's per-key metadata records. Metadata written before
+ * per-key records existed holds a single key dating from the last action.
+ */
+function getKeyRecords(entry) {
+  if (entry?.keys) {
+    return { ...entry.keys };
+  }
+  if (entry && entry.lastAction !== 'deleted') {
+    return { [entry.label || DEFAULT_KEY_LABEL]: { createdAt: entry.timestamp } };
+  }
+  return {};
+}
+
+/**
+ * Providers sorted by the user's preferred order. Providers the user has
+ * not ranked follow in their original order.
+ */
+function sortByPreference(providers, order) {
+  const rank = (provider) => {
+    const index = order.indexOf(provider);
+    return index === -1 ? order.length : index;
+  };
+  return [...providers].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Provider names as a sentence fragment: "OpenAI, Anthropic or Groq"
+ */
+function formatProviderList(providers) {
+  const labels = providers.map(getProviderLabel);
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+    : labels.join('');
+}
+
+// Letters whose spoken names start with a vowel sound
+const VOWEL_SOUND_LETTERS = 'AEFHILMNORSX';
+
+/**
+ * "an OpenAI", "a Groq", "an LM Studio", "an xAI". Initialisms are read
+ * letter by letter, so they take the article of their first letter's name.
+ */
+function withArticle(word) {
+  const initialism = /^[A-Z](?![a-z])/.test(word);
+  const vowelSound = initialism
+    ? VOWEL_SOUND_LETTERS.includes(word[0])
+    : /^x[A-Z]/.test(word) || /^[aeiou]/i.test(word);
+  return `${vowelSound ? 'an' : 'a'} ${word}`;
+}
+
+/**
+ * Metadata record for a newly stored key value
+ */
+function createKeyRecord(fingerprint) {
+  return {
+    createdAt: new Date().toISOString(),
+    expiresAt: null,
+    fingerprint,
+    lastUsedAt: null,
+    useCount: 0,
+    lastVerifiedAt: null,
+    lastVerification: null
+  };
+}
+
+/**
+ * Metadata fields recording the outcome of a key check
+ */
+function getVerificationFields({ status, checkedAt }) {
+  return {
+    lastVerification: { status, checkedAt },
+    ...(status === 'valid' && { lastVerifiedAt: checkedAt })
+  };
+}
+
+/**
+ * First label not already used by a provider's keys: "Work (restored)",
+ * then "Work (restored 2)" and so on
+ */
+function getRestoredLabel(label, keys) {
+  let candidate = `${label} (restored)`;
+  for (let n = 2; candidate in keys; n++) {
+    candidate = `${label} (restored ${n})`;
+  }
+  return candidate;
+}
+
+/**
+ * Merge an archived vault and its metadata into the current ones, in place.
+ * Keys already stored under the same label are kept; an archived key whose
+ * label is taken by a different key is added under a new label.
+ */
+function mergeArchivedVault(keys, metadata, archivedKeys, archivedMetadata) {
+  Object.entries(archivedKeys).forEach(([provider, archivedEntry]) => {
+    const entry = keys[provider] || { defaultLabel: null, keys: {} };
+    const records = getKeyRecords(metadata[provider]);
+    const archivedRecords = getKeyRecords(archivedMetadata[provider]);
+    const renamed = {};
+
+    Object.entries(archivedEntry.keys).forEach(([label, credential]) => {
+      if (label in entry.keys && credentialsEqual(entry.keys[label], credential)) return;
+
+      const restoredLabel = label in entry.keys ? getRestoredLabel(label, entry.keys) : label;
+      renamed[label] = restoredLabel;
+      entry.keys[restoredLabel] = credential;
+      if (archivedRecords[label]) {
+        records[restoredLabel] = archivedRecords[label];
+      }
+    });
+
+    if (!entry.defaultLabel) {
+      entry.defaultLabel = renamed[archivedEntry.defaultLabel] || archivedEntry.defaultLabel;
+    }
+    keys[provider] = entry;
+    metadata[provider] = {
+      ...metadata[provider],
+      lastAction: 'recovered',
+      timestamp: new Date().toISOString(),
+      keys: records
+    };
+  });
+}
+
+/**
+ * Compare two provider entries by default label and key values
+ */
+function isSameProviderEntry(a, b) {
+  const labels = Object.keys(a.keys);
+  return a.defaultLabel === b.defaultLabel &&
+    labels.length === Object.keys(b.keys).length &&
+    labels.every((label) => label in b.keys && credentialsEqual(a.keys[label], b.keys[label]));
+}
+
+const STORAGE_LOCK_LEASE_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Cross-tab mutex over localStorage, for browsers without the Web Locks API.
+ * A lease that expires keeps a crashed tab from holding the lock forever;
+ * the holder renews it while its task runs, so slow writes keep the lock.
+ */
+async function withStorageLock(name, task) {
+  if (typeof localStorage === 'undefined') {
+    return task();
+  }
+
+  const owner = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const readLock = () => {
+    try {
+      return JSON.parse(localStorage.getItem(name) || 'null');
+    } catch {
+      return null;
+    }
+  };
+  const writeLease = () => {
+    localStorage.setItem(name, JSON.stringify({ owner, expires: Date.now() + STORAGE_LOCK_LEASE_MS }));
+  };
+
+  for (;;) {
+    const current = readLock();
+    if (!current || current.expires < Date.now()) {
+      writeLease();
+      // Give a racing tab time to overwrite, then check who won
+      await sleep(20);
+      const winner = readLock();
+      if (winner && winner.owner === owner) break;
+    }
+    await sleep(25 + Math.random() * 50);
+  }
+
+  // Renew well before expiry; stop if another tab has taken over an expired lease
+  const renewal = setInterval(() => {
+    if (readLock()?.owner === owner) {
+      writeLease();
+    } else {
+      clearInterval(renewal);
+    }
+  }, STORAGE_LOCK_LEASE_MS / 3);
+
+  try {
+    return await task();
+  } finally {
+    clearInterval(renewal);
+    const current = readLock();
+    if (current && current.owner === owner) {
+      localStorage.removeItem(name);
+    }
+  }
+}
+
+/**
+ * Cross-tab mutex: the Web Locks API, or a localStorage lease without it
+ */
+function withCrossTabLock(name, task) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(name, task);
+  }
+  return withStorageLock(name, task);
+}
+
+/**
+ * Thrown when a stored vault exists but cannot be decrypted or parsed
+ */
+export class VaultUnreadableError extends Error {
+  constructor(message = 'Stored vault could not be decrypted') {
+    super(message);
+    this.name = 'VaultUnreadableError';
+  }
+}
+
+/**
+ * Thrown by authorized fetches when the provider has no stored key
+ */
+export class MissingKeyError extends Error {
+  constructor(provider, message = `No API key stored for ${getProviderLabel(provider)}`) {
+    super(message);
+    this.name = 'MissingKeyError';
+    this.provider = provider;
+  }
+}
+
+/**
+ * SecureKeyStorage class for managing encrypted API keys
+ */
+export class SecureKeyStorage {
+  constructor(appName, options = {}) {
+    this.appName = appName;
+    this.storageKey = `${appName}_byok_storage`;
+    this.metadataKey = `${appName}_byok_metadata`;
+    this.preferencesKey = `${appName}_byok_preferences`;
+    this.archiveKey = `${appName}_byok_storage_unreadable`;
+    this.syncKey = `${appName}_byok_sync`;
+    this.lockKey = `${appName}_byok_write_lock`;
+    this.lockMode = options.lockMode || 'device';
+    this.encryptionPassword = this.lockMode === 'passphrase'
+      ? null
+      : options.encryptionPassword || null;
+    this.providers = resolveProviders(options.providers || ['openai', 'anthropic', 'cohere', 'custom']);
+    this.onKeyChange = options.onKeyChange || null;
+    this.backend = createStorageBackend(options.backend);
+    this.deviceKeyStore = options.deviceKeyStore ||
+      (typeof indexedDB !== 'undefined' ? new IndexedDBBackend('byok_device_keys', 'keys') : null);
+    this._deviceKeyPromise = null;
+    this.cacheTTL = options.cacheTTL ?? 5 * 60 * 1000;
+    this._vaultCache = null;
+    this._keyCache = new Map();
+    this._keyCacheSecret = null;
+    this._keyCacheExpiresAt = 0;
+    this._listeners = new Set();
+    this._channel = null;
+    this._storageListener = null;
+    this._writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Run a vault mutation exclusively: queued behind earlier writes in this
+   * tab, and holding a cross-tab lock (Web Locks API, or a localStorage
+   * lease as a fallback) while it runs
+   */
+  _withWriteLock(task) {
+    const run = () => withCrossTabLock(this.lockKey, task);
+
+    const result = this._writeQueue.then(run, run);
+    this._writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Notify onKeyChange and, for vault changes, other tabs
+   */
+  _emit(event) {
+    if (this.onKeyChange) {
+      this.onKeyChange(event);
+    }
+
+    if (SYNCED_ACTIONS.includes(event.action)) {
+      this._broadcast(event);
+    }
+  }
+
+  /**
+   * Tell other tabs about a change, over BroadcastChannel when available
+   * and through a localStorage `storage` event otherwise
+   */
+  _broadcast(event) {
+    try {
+      if (typeof BroadcastChannel !== 'undefined') {
+        const channel = this._channel || new BroadcastChannel(this.syncKey);
+        channel.postMessage({ event });
+        if (channel !== this._channel) channel.close();
+      } else if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(this.syncKey, JSON.stringify({ event, nonce: Math.random() }));
+      }
+    } catch {
+      // Other tabs fall back to the cache check on their next read
+    }
+  }
+
+  _handleRemoteChange(event) {
+    this.invalidateCache();
+    this._listeners.forEach((listener) => listener({ ...event, remote: true }));
+  }
+
+  /**
+   * Listen for vault changes made in other tabs. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+
+    if (this._listeners.size === 1) {
+      if (typeof BroadcastChannel !== 'undefined') {
+        this._channel = new BroadcastChannel(this.syncKey);
+        this._channel.onmessage = (e) => this._handleRemoteChange(e.data.event);
+      } else if (typeof window !== 'undefined') {
+        this._storageListener = (e) => {
+          if (e.key === this.syncKey && e.newValue) {
+            this._handleRemoteChange(JSON.parse(e.newValue).event);
+          }
+        };
+        window.addEventListener('storage', this._storageListener);
+      }
+    }
+
+    return () => {
+      this._listeners.delete(listener);
+      if (this._listeners.size > 0) return;
+
+      if (this._channel) {
+        this._channel.close();
+        this._channel = null;
+      }
+      if (this._storageListener) {
+        window.removeEventListener('storage', this._storageListener);
+        this._storageListener = null;
+      }
+    };
+  }
+
+  /**
+   * Derived-key cache for `password`, or null when caching is off. A new
+   * password (or fingerprint) gets a new cache, so a key or salt derived
+   * from the old one is never reused.
+   */
+  _getKeyCache(password) {
+    if (!this.cacheTTL) return null;
+
+    const now = Date.now();
+    if (now >= this._keyCacheExpiresAt || password !== this._keyCacheSecret) {
+      // A fresh map, so derivations still in flight for the old secret land in the old one
+      this._keyCache = new Map();
+      this._keyCacheSecret = password;
+      this._keyCacheExpiresAt = now + this.cacheTTL;
+    }
+    return this._keyCache;
+  }
+
+  /**
+   * Cached vault contents, valid only for the exact blob they were read from
+   */
+  _readVaultCache(blob) {
+    const cache = this._vaultCache;
+    if (!cache || cache.blob !== blob || Date.now() >= cache.expiresAt) {
+      return null;
+    }
+    return JSON.parse(cache.plaintext);
+  }
+
+  _writeVaultCache(blob, plaintext) {
+    if (!this.cacheTTL) return;
+    this._vaultCache = { blob, plaintext, expiresAt: Date.now() + this.cacheTTL };
+  }
+
+  /**
+   * Drop the decrypted vault and derived keys held in memory
+   */
+  invalidateCache() {
+    this._vaultCache = null;
+    this._keyCache = new Map();
+    this._keyCacheSecret = null;
+    this._keyCacheExpiresAt = 0;
+  }
+
+  /**
+   * Load the device wrapping key, generating it on first use.
+   * Returns null when no device key store is available.
+   */
+  _getDeviceKey() {
+    if (!this.deviceKeyStore) {
+      return Promise.resolve(null);
+    }
+
+    if (!this._deviceKeyPromise) {
+      this._deviceKeyPromise = (async () => {
+        const existing = await this.deviceKeyStore.getItem(this.appName);
+        if (existing) return existing;
+
+        const deviceKey = await generateDeviceKey();
+        // Another tab may be creating the key too: only one of them may store it
+        if (typeof this.deviceKeyStore.addItem === 'function') {
+          const added = await this.deviceKeyStore.addItem(this.appName, deviceKey);
+          return added ? deviceKey : this.deviceKeyStore.getItem(this.appName);
+        }
+        return withCrossTabLock(`${this.appName}_byok_device_key`, async () => {
+          const current = await this.deviceKeyStore.getItem(this.appName);
+          if (current) return current;
+          await this.deviceKeyStore.setItem(this.appName, deviceKey);
+          return deviceKey;
+        });
+      })().catch((error) => {
+        this._deviceKeyPromise = null;
+        throw error;
+      });
+    }
+
+    return this._deviceKeyPromise;
+  }
+
+  /**
+   * Resolve the active secret: { password } or { key }
+   */
+  async _getSecret() {
+    if (this.encryptionPassword) {
+      return { password: this.encryptionPassword, keyCache: this._getKeyCache(this.encryptionPassword) };
+    }
+
+    const deviceKey = await this._getDeviceKey();
+    if (deviceKey) {
+      return { key: deviceKey };
+    }
+    const fingerprint = this._generateDeviceFingerprint();
+    return { password: fingerprint, keyCache: this._getKeyCache(fingerprint) };
+  }
+
+  /**
+   * Encrypt the serialized vault into a current-version envelope
+   */
+  async _encryptVault(data) {
+    return encryptData(data, await this._getSecret());
+  }
+
+  /**
+   * Decrypt the stored vault (any envelope version), migrating
+   * fingerprint-encrypted vaults to the device key on first read
+   */
+  async _decryptVault(encrypted) {
+    const secret = await this._getSecret();
+    const decrypted = await decryptData(encrypted, secret);
+    if (decrypted !== null || !secret.key) {
+      return decrypted;
+    }
+
+    const legacy = await decryptData(encrypted, { password: this._generateDeviceFingerprint() });
+    if (legacy !== null) {
+      // Not awaited: reads inside a write would otherwise wait on their own lock
+      this._migrateLegacyVault(encrypted, legacy);
+    }
+    return legacy;
+  }
+
+  /**
+   * Re-encrypt a fingerprint-encrypted vault under the device key. Runs under
+   * the write lock and only if the stored blob is still that legacy
+   * ciphertext, so a write that got there first is never overwritten.
+   */
+  _migrateLegacyVault(encrypted, plaintext) {
+    return this._withWriteLock(async () => {
+      if (await this.backend.getItem(this.storageKey) !== encrypted) return;
+
+      const migrated = await this._encryptVault(plaintext);
+      await this.backend.setItem(this.storageKey, migrated);
+      this._writeVaultCache(migrated, plaintext);
+    }).catch(() => {
+      // Stays a legacy vault; the next read tries again
+    });
+  }
+
+  /**
+   * Generate a device fingerprint (legacy encryption secret)
+   */
+  _generateDeviceFingerprint() {
+    const components = [
+      navigator.userAgent,
+      navigator.language,
+      screen.width,
+      screen.height,
+      new Date().getTimezoneOffset(),
+      this.appName
+    ];
+    return components.join('|');
+  }
+
+  /**
+   * Whether the vault key is unavailable (passphrase mode only)
+   */
+  isLocked() {
+    return this.lockMode === 'passphrase' && this.encryptionPassword === null;
+  }
+
+  /**
+   * Check whether an encrypted vault exists, without decrypting it
+   */
+  async hasVault() {
+    return Boolean(await this.backend.getItem(this.storageKey));
+  }
+
+  /**
+   * Check whether the stored vault needs an existing passphrase to open.
+   * False when there is no vault, or when it is still encrypted with the
+   * device secret (written before passphrase mode was turned on).
+   */
+  async hasPassphraseVault() {
+    const encrypted = await this.backend.getItem(this.storageKey);
+    return Boolean(encrypted) && (await this._decryptWithDeviceSecret(encrypted)) === null;
+  }
+
+  /**
+   * Decrypt a vault with the device key or, failing that, the legacy
+   * device fingerprint. Never creates a device key.
+   */
+  async _decryptWithDeviceSecret(encrypted) {
+    const deviceKey = this.deviceKeyStore
+      ? await this.deviceKeyStore.getItem(this.appName).catch(() => null)
+      : null;
+    const decrypted = deviceKey ? await decryptData(encrypted, { key: deviceKey }) : null;
+    return decrypted ?? decryptData(encrypted, { password: this._generateDeviceFingerprint() });
+  }
+
+  /**
+   * Re-encrypt a device-encrypted vault under a new passphrase. Runs under
+   * the write lock and re-reads the blob, so a vault another tab has already
+   * moved to a passphrase is only accepted if this passphrase opens it.
+   */
+  _adoptDeviceVault(passphrase) {
+    return this._withWriteLock(async () => {
+      const encrypted = await this.backend.getItem(this.storageKey);
+      if (!encrypted || (await decryptData(encrypted, { password: passphrase })) !== null) {
+        return true;
+      }
+
+      const plaintext = await this._decryptWithDeviceSecret(encrypted);
+      if (plaintext === null) return false;
+
+      await this.backend.setItem(this.storageKey, await encryptData(plaintext, { password: passphrase }));
+      return true;
+    });
+  }
+
+  /**
+   * Unlock the vault with the user's passphrase.
+   * If no vault exists yet, the passphrase becomes the new vault passphrase;
+   * a vault still under the device secret is re-encrypted with it.
+   */
+  async unlock(passphrase) {
+    if (this.lockMode !== 'passphrase' || !passphrase) {
+      return false;
+    }
+
+    const encrypted = await this.backend.getItem(this.storageKey);
+    if (encrypted && (await decryptData(encrypted, { password: passphrase })) === null &&
+        !(await this._adoptDeviceVault(passphrase))) {
+      return false;
+    }
+
+    this.encryptionPassword = passphrase;
+    this.invalidateCache();
+
+    this._emit({ action: 'unlocked' });
+
+    return true;
+  }
+
+  /**
+   * Forget the passphrase so keys cannot be read until the next unlock
+   */
+  lock() {
+    if (this.lockMode !== 'passphrase' || this.isLocked()) {
+      return;
+    }
+
+    this.encryptionPassword = null;
+    this.invalidateCache();
+
+    this._emit({ action: 'locked' });
+  }
+
+  /**
+   * Store API key with encryption. `key` is a key string or a credential
+   * object ({ key, ...fields }) for providers with extra fields.
+   * Without a label, replaces the provider's default key. `expiresAt` and
+   * `rotationIntervalDays` set the key's rotation schedule; `verification`
+   * records a KeyVerifier result for the new key. With `onlyIfAbsent`,
+   * returns false instead of replacing a key already under the label.
+   */
+  async storeKey(key, provider = 'default', label, { expiresAt, rotationIntervalDays, verification, onlyIfAbsent = false } = {}) {
+    try {
+      const credential = toCredential(key);
+      const definition = getProvider(provider);
+      const keyValid = definition?.keyOptional
+        ? !credential.key || definition.keyPattern.test(credential.key)
+        : Boolean(credential.key) && this.validateKeyFormat(credential.key);
+      if (!keyValid) {
+        throw new Error('Invalid API key format');
+      }
+
+      const missingField = (definition?.fields || [])
+        .find((field) => field.required && !credential[field.name]);
+      if (missingField) {
+        throw new Error(`Missing required field "${missingField.name}"`);
+      }
+
+      if (this.isLocked()) {
+        throw new Error('Vault is locked');
+      }
+
+      const fingerprint = credential.key ? await fingerprintKey(credential.key) : null;
+      let storedLabel;
+      const stored = await this._withWriteLock(async () => {
+        const existingData = await this._loadAllKeys();
+        const entry = existingData[provider] || { defaultLabel: null, keys: {} };
+        storedLabel = label || entry.defaultLabel || DEFAULT_KEY_LABEL;
+        if (onlyIfAbsent && entry.keys[storedLabel] !== undefined) {
+          return false;
+        }
+
+        // A new key value restarts the rotation clock and the usage stats
+        const keyMetadata = credentialKey(entry.keys[storedLabel]) === credential.key
+          ? { fingerprint }
+          : createKeyRecord(fingerprint);
+        if (expiresAt !== undefined) {
+          keyMetadata.expiresAt = expiresAt ? new Date(expiresAt).toISOString() : null;
+        }
+        if (rotationIntervalDays !== undefined) {
+          keyMetadata.rotationIntervalDays = rotationIntervalDays;
+        } else if (!credential.key) {
+          // A keyless credential has nothing to rotate
+          keyMetadata.rotationIntervalDays = null;
+        }
+        if (verification) {
+          Object.assign(keyMetadata, getVerificationFields(verification));
+        }
+
+        entry.keys[storedLabel] = compactCredential(credential);
+        if (!entry.defaultLabel) {
+          entry.defaultLabel = storedLabel;
+        }
+        existingData[provider] = entry;
+
+        await this._saveAllKeys(existingData);
+        await this._updateMetadata(provider, 'stored', storedLabel, { key: keyMetadata });
+        return true;
+      });
+      if (!stored) {
+        return false;
+      }
+      
+      this._emit({ action: 'stored', provider, label: storedLabel });
+      
+      return true;
+    } catch (error) {
+      console.error('SecureKeyStorage: Failed to store key', error);
+      return false;
+    }
+  }
+
+  /**
+   * Add another labelled key for a provider. Fails if the label is taken.
+   */
+  async addKey(key, provider = 'default', label, options) {
+    if (!label) {
+      return false;
+    }
+    return this.storeKey(key, provider, label, { ...options, onlyIfAbsent: true });
+  }
+
+  /**
+   * Retrieve API key (the provider's default key unless a label is given).
+   * With `credential: true`, returns the whole credential object
+   * ({ key, ...fields }) instead of just the key.
+   * Counts as a use of the key unless `recordUse` is false.
+   */
+  async retrieveKey(provider = 'default', label, { recordUse = true, credential = false } = {}) {
+    try {
+      const keys = await this._loadAllKeys();
+      const entry = keys[provider];
+      if (!entry) return null;
+
+      const keyLabel = label || entry.defaultLabel;
+      const stored = entry.keys[keyLabel];
+      const key = credentialKey(stored);
+      if (key === null) return null;
+
+      if (recordUse) {
+        // Not awaited: usage stats must never slow down or fail a read
+        this._recordKeyUse(provider, keyLabel, key).catch(() => {});
+      }
+      return credential ? toCredential(stored) : key;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * A fetch function that adds the provider's auth headers to every request,
+   * so callers never see the key. The key is read on each call, so rotated
+   * keys are picked up. Rejects with MissingKeyError if no key is stored or
+   * the vault is locked.
+   */
+  createAuthorizedFetch(provider = 'default', { label } = {}) {
+    return async (url, init = {}) => {
+      const credential = await this.retrieveKey(provider, label, { credential: true });
+      if (!credential) {
+        throw new MissingKeyError(provider);
+      }
+
+      const headers = new Headers(init.headers);
+      Object.entries(getAuthHeaders(provider, credential))
+        .forEach(([name, value]) => headers.set(name, value));
+      return fetch(url, { ...init, headers });
+    };
+  }
+
+  /**
+   * List the labelled keys of a provider, without their values
+   */
+  async listKeys(provider = 'default') {
+    try {
+      const keys = await this._loadAllKeys();
+      const entry = keys[provider];
+      if (!entry) return [];
+      return Object.keys(entry.keys).map((label) => ({
+        label,
+        isDefault: label === entry.defaultLabel
+      }));
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Delete API key. With a label, deletes only that key; otherwise deletes
+   * every key of the provider.
+   */
+  async deleteKey(provider = 'default', label) {
+    try {
+      if (this.isLocked()) {
+        return false;
+      }
+
+      const deleted = await this._withWriteLock(async () => {
+        const existingData = await this._loadAllKeys();
+        const entry = existingData[provider];
+        if (!entry || (label && !(label in entry.keys))) return false;
+
+        if (label) {
+          delete entry.keys[label];
+          const remaining = Object.keys(entry.keys);
+          if (remaining.length === 0) {
+            delete existingData[provider];
+          } else if (entry.defaultLabel === label) {
+            entry.defaultLabel = remaining[0];
+          }
+        } else {
+          delete existingData[provider];
+        }
+
+        await this._saveAllKeys(existingData);
+        await this._updateMetadata(provider, 'deleted', label);
+        return true;
+      });
+      
+      if (deleted) {
+        this._emit({ action: 'deleted', provider, label });
+      }
+      return deleted;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Rename one of a provider's keys
+   */
+  async renameKey(provider, label, newLabel) {
+    try {
+      if (this.isLocked() || !newLabel) {
+        return false;
+      }
+
+      const renamed = await this._withWriteLock(async () => {
+        const existingData = await this._loadAllKeys();
+        const entry = existingData[provider];
+        if (!entry || !(label in entry.keys) || newLabel in entry.keys) return false;
+
+        // Rebuild to keep the key's position in the list
+        entry.keys = Object.fromEntries(
+          Object.entries(entry.keys).map(([name, value]) => [name === label ? newLabel : name, value])
+        );
+        if (entry.defaultLabel === label) {
+          entry.defaultLabel = newLabel;
+        }
+
+        await this._saveAllKeys(existingData);
+        await this._updateMetadata(provider, 'renamed', newLabel, { previousLabel: label });
+        return true;
+      });
+
+      if (renamed) {
+        this._emit({ action: 'renamed', provider, label: newLabel, previousLabel: label });
+      }
+      return renamed;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Make one of a provider's keys the default
+   */
+  async setDefaultKey(provider, label) {
+    try {
+      if (this.isLocked()) {
+        return false;
+      }
+
+      const updated = await this._withWriteLock(async () => {
+        const existingData = await this._loadAllKeys();
+        const entry = existingData[provider];
+        if (!entry || !(label in entry.keys)) return false;
+
+        entry.defaultLabel = label;
+        await this._saveAllKeys(existingData);
+        await this._updateMetadata(provider, 'default_changed', label);
+        return true;
+      });
+
+      if (updated) {
+        this._emit({ action: 'default_changed', provider, label });
+      }
+      return updated;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Replace an existing key with a new one, e.g. after generating a fresh key
+   * in the provider's dashboard. Other credential fields are kept. Fails if
+   * the key does not exist or the new key is the same as the old one.
+   */
+  async rotateKey(newKey, provider = 'default', label, { expiresAt } = {}) {
+    try {
+      if (this.isLocked() || !newKey || !this.validateKeyFormat(newKey)) {
+        return false;
+      }
+
+      const fingerprint = await fingerprintKey(newKey);
+      let rotatedLabel;
+      const rotated = await this._withWriteLock(async () => {
+        const existingData = await this._loadAllKeys();
+        const entry = existingData[provider];
+        rotatedLabel = label || entry?.defaultLabel;
+        if (!entry || !(rotatedLabel in entry.keys)) return false;
+
+        const current = entry.keys[rotatedLabel];
+        if (credentialKey(current) === newKey) return false;
+
+        entry.keys[rotatedLabel] = typeof current === 'string' ? newKey : { ...current, key: newKey };
+        await this._saveAllKeys(existingData);
+
+        const record = createKeyRecord(fingerprint);
+        await this._updateMetadata(provider, 'rotated', rotatedLabel, {
+          key: {
+            ...record,
+            rotatedAt: record.createdAt,
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+          }
+        });
+        return true;
+      });
+
+      if (rotated) {
+        this._emit({ action: 'rotated', provider, label: rotatedLabel });
+      }
+      return rotated;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Change a key's rotation schedule without touching the key itself.
+   * `expiresAt: null` clears the expiry; `rotationIntervalDays: null` turns
+   * off interval reminders for this key.
+   */
+  async setKeyRotation(provider, label, { expiresAt, rotationIntervalDays } = {}) {
+    if (!(await this.listKeys(provider)).some((item) => item.label === label)) {
+      return false;
+    }
+
+    const keyMetadata = {};
+    if (expiresAt !== undefined) {
+      keyMetadata.expiresAt = expiresAt ? new Date(expiresAt).toISOString() : null;
+    }
+    if (rotationIntervalDays !== undefined) {
+      keyMetadata.rotationIntervalDays = rotationIntervalDays;
+    }
+
+    await this._withWriteLock(() => (
+      this._updateMetadata(provider, 'rotation_changed', label, { key: keyMetadata })
+    ));
+    this._emit({ action: 'rotation_changed', provider, label });
+    return true;
+  }
+
+  /**
+   * Check if key exists
+   */
+  async hasKey(provider = 'default') {
+    // Keyless credentials (local servers) count as configured too
+    const key = await this.retrieveKey(provider, undefined, { recordUse: false });
+    return key !== null;
+  }
+
+  /**
+   * Get all configured providers
+   */
+  async getConfiguredProviders() {
+    const keys = await this._loadAllKeys();
+    return Object.keys(keys);
+  }
+
+  /**
+   * Replace the providers this storage offers (ids or definition objects),
+   * which capability selectors choose from
+   */
+  setProviders(providers) {
+    this.providers = resolveProviders(providers);
+  }
+
+  /**
+   * The providers a feature can use, most preferred first. `selector` is an
+   * ordered list of provider ids, or { capability } for this storage's
+   * providers that offer it. The user's provider order comes first.
+   */
+  async resolveProviderChain(selector) {
+    let candidates;
+    if (Array.isArray(selector)) {
+      candidates = selector;
+    } else if (typeof selector === 'string') {
+      candidates = [selector];
+    } else {
+      candidates = this.providers.filter((provider) => providerSupports(provider, selector?.capability));
+    }
+    return sortByPreference(candidates, await this.getProviderOrder());
+  }
+
+  /**
+   * The first provider in a chain with a stored key: { provider, key }, or
+   * null. Keyless providers give their credential, as with retrieveKey.
+   */
+  async findKey(selector, { label, credential, recordUse = true } = {}) {
+    for (const provider of await this.resolveProviderChain(selector)) {
+      const key = await this.retrieveKey(provider, label, {
+        recordUse,
+        credential: credential ?? Boolean(getProvider(provider)?.keyOptional)
+      });
+      if (key) return { provider, key };
+    }
+    return null;
+  }
+
+  /**
+   * Validate API key format
+   */
+  validateKeyFormat(key) {
+    if (!key || key.length < 10) {
+      return false;
+    }
+
+    return getRegisteredProviders().some((provider) => provider.keyPattern.test(key));
+  }
+
+  /**
+   * Check a key against a provider's format (or, without a provider, the
+   * format of the provider it looks like). Returns
+   * { valid, reason, provider, detectedProvider, hint } where reason is null
+   * for a valid key, or one of 'empty', 'whitespace', 'too_short',
+   * 'truncated', 'wrong_provider' or 'invalid_format', and hint is a
+   * message for the user.
+   */
+  validateKey(key, provider) {
+    const value = typeof key === 'string' ? key : '';
+    const detectedProvider = value.trim() ? this.detectProvider(value.trim()) : null;
+    const target = provider || detectedProvider || 'custom';
+    const definition = getProvider(target);
+    const label = getProviderLabel(target);
+    const result = (reason, hint) => ({
+      valid: reason === null,
+      reason,
+      provider: target,
+      detectedProvider,
+      hint
+    });
+
+    if (!value) {
+      return definition?.keyOptional
+        ? result(null, null)
+        : result('empty', 'Please enter an API key.');
+    }
+    if (/\s/.test(value)) {
+      return result('whitespace', 'The key contains spaces or line breaks. Copy it again without them.');
+    }
+    // An unregistered provider has no key format to tell a mismatch from
+    if (definition && !definition.keyOptional && target !== 'custom' &&
+        detectedProvider !== 'custom' && detectedProvider !== target) {
+      const detectedLabel = getProviderLabel(detectedProvider);
+      return result(
+        'wrong_provider',
+        `This looks like ${withArticle(detectedLabel)} key, not ${withArticle(label)} key.`
+      );
+    }
+
+    const matches = definition
+      ? definition.keyPattern.test(value) && (definition.keyOptional || value.length >= 10)
+      : this.validateKeyFormat(value);
+    if (matches) {
+      return result(null, null);
+    }
+
+    if (definition?.detect && definition.detect(value)) {
+      return result('truncated', `This looks like an incomplete ${label} key. Copy the whole key again.`);
+    }
+    if (value.length < 10) {
+      return result('too_short', 'This key is too short. Make sure you copied the whole key.');
+    }
+    const prefix = definition?.placeholder?.endsWith('...') ? definition.placeholder.slice(0, -3) : null;
+    return result(
+      'invalid_format',
+      prefix
+        ? `This doesn't look like ${withArticle(label)} key. ${label} keys start with "${prefix}".`
+        : `This doesn't look like ${withArticle(label)} key.`
+    );
+  }
+
+  /**
+   * Detect provider from key format
+   */
+  detectProvider(key) {
+    const match = getRegisteredProviders()
+      .reverse()
+      .find((provider) => provider.detect && provider.detect(key));
+    return match ? match.id : 'custom';
+  }
+
+  /**
+   * Mask key for display
+   */
+  maskKey(key) {
+    if (!key || key.length <= 8) return '••••••••';
+    return `${key.slice(0, 7)}${'•'.repeat(Math.min(key.length - 11, 20))}${key.slice(-4)}`;
+  }
+
+  /**
+   * Load all keys from storage.
+   * Any past envelope version is readable; the next write re-encrypts
+   * the vault with the current version and parameters.
+   */
+  async _loadAllKeys() {
+    if (this.isLocked()) return {};
+
+    const encrypted = await this.backend.getItem(this.storageKey);
+    if (!encrypted) return {};
+
+    const cached = this._readVaultCache(encrypted);
+    if (cached) return normalizeVault(cached);
+    
+    const decrypted = await this._decryptVault(encrypted);
+    if (decrypted === null) {
+      throw new VaultUnreadableError();
+    }
+
+    let keys;
+    try {
+      keys = JSON.parse(decrypted);
+    } catch {
+      throw new VaultUnreadableError('Stored vault is corrupted');
+    }
+
+    this._writeVaultCache(encrypted, decrypted);
+    return normalizeVault(keys);
+  }
+
+  /**
+   * Encrypt and persist the full key map, removing the vault when empty
+   */
+  async _saveAllKeys(keys) {
+    if (Object.keys(keys).length === 0) {
+      await this.backend.removeItem(this.storageKey);
+      this._vaultCache = null;
+      return;
+    }
+
+    const plaintext = JSON.stringify(keys);
+    const encrypted = await this._encryptVault(plaintext);
+    await this.backend.setItem(this.storageKey, encrypted);
+    this._writeVaultCache(encrypted, plaintext);
+  }
+
+  /**
+   * Check that the stored vault (if any) can be decrypted
+   */
+  async isVaultReadable() {
+    try {
+      await this._loadAllKeys();
+      return true;
+    } catch (error) {
+      if (error instanceof VaultUnreadableError) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Vaults set aside by rekeyVault, oldest first: [{ archivedAt, blob, metadata }]
+   */
+  async _loadArchives() {
+    const stored = await this.backend.getItem(this.archiveKey);
+    if (!stored) return [];
+    try {
+      const archives = JSON.parse(stored);
+      if (Array.isArray(archives)) return archives;
+    } catch {
+      // Not JSON: fall through
+    }
+    // Earlier versions kept a single blob
+    return [{ archivedAt: null, blob: stored, metadata: {} }];
+  }
+
+  async _saveArchives(archives) {
+    if (archives.length === 0) {
+      await this.backend.removeItem(this.archiveKey);
+    } else {
+      await this.backend.setItem(this.archiveKey, JSON.stringify(archives));
+    }
+  }
+
+  /**
+   * The vaults set aside by rekeyVault: [{ archivedAt, requiresDeviceKey }].
+   * A vault that `requiresDeviceKey` was encrypted with a device key that
+   * is gone, and recoverVault cannot restore it.
+   */
+  async getArchivedVaults() {
+    return (await this._loadArchives()).map(({ archivedAt, blob }) => ({
+      archivedAt,
+      requiresDeviceKey: isDeviceKeyBlob(blob)
+    }));
+  }
+
+  /**
+   * Whether the stored vault is encrypted with a device key. When such a
+   * vault is unreadable, its device key is gone and recoverVault cannot help.
+   */
+  async vaultRequiresDeviceKey() {
+    const encrypted = await this.backend.getItem(this.storageKey);
+    return Boolean(encrypted) && isDeviceKeyBlob(encrypted);
+  }
+
+  /**
+   * Delete the vaults set aside by rekeyVault
+   */
+  async discardArchivedVaults() {
+    await this._withWriteLock(() => this.backend.removeItem(this.archiveKey));
+  }
+
+  /**
+   * Recover keys with the password or passphrase they were encrypted with.
+   * An unreadable vault is re-encrypted under the current secret. Otherwise
+   * the newest vault set aside by rekeyVault that the secret opens is merged
+   * into the current one, key by key: keys stored since keep their labels,
+   * and a restored key whose label is taken gets a "(restored)" label.
+   * Vaults encrypted with a device key cannot be recovered with a secret.
+   */
+  async recoverVault(secret) {
+    if (!secret || this.isLocked()) {
+      return false;
+    }
+
+    const openVault = async (encrypted) => {
+      const decrypted = await decryptData(encrypted, { password: secret });
+      if (decrypted === null) return null;
+      try {
+        return JSON.parse(decrypted);
+      } catch {
+        return null;
+      }
+    };
+
+    const recovered = await this._withWriteLock(async () => {
+      const encrypted = await this.backend.getItem(this.storageKey);
+      if (encrypted && (await this._decryptVault(encrypted)) === null) {
+        if (isDeviceKeyBlob(encrypted)) return false;
+        const keys = await openVault(encrypted);
+        if (!keys) return false;
+
+        await this.backend.setItem(this.storageKey, await this._encryptVault(JSON.stringify(keys)));
+        this.invalidateCache();
+        return true;
+      }
+
+      const archives = await this._loadArchives();
+      for (let i = archives.length - 1; i >= 0; i--) {
+        if (isDeviceKeyBlob(archives[i].blob)) continue;
+        const archived = await openVault(archives[i].blob);
+        if (!archived) continue;
+
+        const keys = await this._loadAllKeys();
+        const metadata = await this._loadAllMetadata();
+        mergeArchivedVault(keys, metadata, normalizeVault(archived), archives[i].metadata || {});
+        await this._saveAllKeys(keys);
+        await this.backend.setItem(this.metadataKey, JSON.stringify(metadata));
+        // Only once every key is written
+        archives.splice(i, 1);
+        await this._saveArchives(archives);
+        return true;
+      }
+      return false;
+    });
+
+    if (recovered) {
+      this._emit({ action: 'recovered' });
+    }
+    return recovered;
+  }
+
+  /**
+   * Set an unreadable vault aside and start a fresh one under the current key.
+   * The old blob and its key metadata are added to the archives under
+   * `archiveKey`, from which recoverVault can restore them.
+   */
+  async rekeyVault() {
+    await this._withWriteLock(async () => {
+      const encrypted = await this.backend.getItem(this.storageKey);
+      if (encrypted) {
+        const archives = await this._loadArchives();
+        const metadata = await this._loadAllMetadata().catch(() => ({}));
+        archives.push({ archivedAt: new Date().toISOString(), blob: encrypted, metadata });
+        await this._saveArchives(archives);
+        await this.backend.removeItem(this.storageKey);
+        await this.backend.removeItem(this.metadataKey);
+      }
+      this.invalidateCache();
+    });
+
+    this._emit({ action: 'rekeyed' });
+  }
+
+  /**
+   * Update metadata: the provider's last action, plus a record per key label
+   * holding its rotation schedule (`createdAt`, `expiresAt`, ...)
+   */
+  async _updateMetadata(provider, action, label, { previousLabel, key } = {}) {
+    try {
+      const metadata = await this._loadAllMetadata();
+      let keys = getKeyRecords(metadata[provider]);
+
+      if (action === 'deleted') {
+        if (label) {
+          delete keys[label];
+        } else {
+          keys = {};
+        }
+      } else if (action === 'renamed' && previousLabel in keys) {
+        keys[label] = keys[previousLabel];
+        delete keys[previousLabel];
+      }
+      if (key) {
+        keys[label] = { ...keys[label], ...key };
+      }
+
+      metadata[provider] = {
+        lastAction: action,
+        label: label || null,
+        timestamp: new Date().toISOString(),
+        keys
+      };
+      await this.backend.setItem(this.metadataKey, JSON.stringify(metadata));
+    } catch {
+      // Silent fail for metadata
+    }
+  }
+
+  /**
+   * Bump a key's use count and last-used time. Also fills in the fingerprint
+   * of keys stored before fingerprints were recorded.
+   */
+  async _recordKeyUse(provider, label, key) {
+    try {
+      const fingerprint = key ? await fingerprintKey(key) : null;
+      await this._updateKeyRecord(provider, label, (record) => ({
+        ...record,
+        fingerprint: record.fingerprint || fingerprint,
+        lastUsedAt: new Date().toISOString(),
+        useCount: (record.useCount || 0) + 1
+      }));
+    } catch {
+      // Silent fail for metadata
+    }
+  }
+
+  /**
+   * Save the outcome of a key check in the key's metadata as
+   * `lastVerification` ({ status, checkedAt }); a valid result also sets
+   * `lastVerifiedAt`
+   */
+  async recordVerification(provider, label, result) {
+    try {
+      return await this._updateKeyRecord(provider, label, (record) => ({
+        ...record,
+        ...getVerificationFields(result)
+      }));
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Replace one key's metadata record, under the write lock. Skipped, and
+   * resolves false, when the key is no longer in the vault (deleted or
+   * renamed since), so a late update never brings its record back.
+   */
+  async _updateKeyRecord(provider, label, update) {
+    return this._withWriteLock(async () => {
+      const entry = (await this._loadAllKeys())[provider];
+      if (!entry || !(label in entry.keys)) {
+        return false;
+      }
+
+      const metadata = await this._loadAllMetadata();
+      const keys = getKeyRecords(metadata[provider]);
+      keys[label] = update(keys[label] || {});
+      metadata[provider] = { ...metadata[provider], keys };
+      await this.backend.setItem(this.metadataKey, JSON.stringify(metadata));
+      return true;
+    });
+  }
+
+  /**
+   * Get metadata
+   */
+  async getMetadata(provider = 'default') {
+    try {
+      const metadata = await this._loadAllMetadata();
+      return metadata[provider] || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the metadata record of one key (the default key unless a label is
+   * given): `createdAt`, `expiresAt`, `fingerprint`, `lastUsedAt`,
+   * `useCount`, `lastVerifiedAt`, `lastVerification`
+   */
+  async getKeyMetadata(provider = 'default', label) {
+    try {
+      const keys = await this.listKeys(provider);
+      const target = label || keys.find((item) => item.isDefault)?.label;
+      if (!keys.some((item) => item.label === target)) return null;
+
+      const metadata = await this._loadAllMetadata();
+      return {
+        createdAt: null,
+        expiresAt: null,
+        fingerprint: null,
+        lastUsedAt: null,
+        useCount: 0,
+        lastVerifiedAt: null,
+        lastVerification: null,
+        ...getKeyRecords(metadata[provider])[target]
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Load the metadata map for all providers
+   */
+  async _loadAllMetadata() {
+    return JSON.parse(await this.backend.getItem(this.metadataKey) || '{}');
+  }
+
+  /**
+   * Load the user's preferences (e.g. the setup prompt policy). They hold
+   * nothing secret and are stored unencrypted.
+   */
+  async getPreferences() {
+    try {
+      return JSON.parse(await this.backend.getItem(this.preferencesKey) || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Merge an update into the stored preferences. `update` may be a
+   * function of the current preferences, read under the write lock.
+   */
+  async setPreferences(update) {
+    try {
+      await this._withWriteLock(async () => {
+        const current = await this.getPreferences();
+        const preferences = { ...current, ...(typeof update === 'function' ? update(current) : update) };
+        await this.backend.setItem(this.preferencesKey, JSON.stringify(preferences));
+      });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * The user's preferred provider order, most preferred first
+   */
+  async getProviderOrder() {
+    return (await this.getPreferences()).providerOrder || [];
+  }
+
+  /**
+   * Save the user's preferred provider order
+   */
+  async setProviderOrder(order) {
+    return this.setPreferences({ providerOrder: order });
+  }
+
+  /**
+   * Export keys and metadata as a portable backup encrypted with a passphrase.
+   * Returns the backup file contents as a JSON string.
+   */
+  async exportBackup(passphrase) {
+    if (!passphrase) {
+      throw new Error('A backup passphrase is required');
+    }
+    if (this.isLocked()) {
+      throw new Error('Vault is locked');
+    }
+
+    const keys = await this._loadAllKeys();
+    const allMetadata = await this._loadAllMetadata();
+    const metadata = {};
+    Object.keys(keys).forEach((provider) => {
+      if (allMetadata[provider]) metadata[provider] = allMetadata[provider];
+    });
+
+    const vault = await encryptData(JSON.stringify({ keys, metadata }), { password: passphrase });
+
+    this._emit({ action: 'exported', providers: Object.keys(keys) });
+
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      appName: this.appName,
+      createdAt: new Date().toISOString(),
+      vault: JSON.parse(vault)
+    }, null, 2);
+  }
+
+  /**
+   * Read and decrypt a backup (File, Blob or JSON string)
+   */
+  async _readBackup(file, passphrase) {
+    const text = typeof file === 'string' ? file : await file.text();
+
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch {
+      throw new Error('Not a valid backup file');
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT || !backup.vault) {
+      throw new Error('Not a valid backup file');
+    }
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error('This backup was made by a newer version and cannot be read');
+    }
+
+    const decrypted = await decryptData(JSON.stringify(backup.vault), { password: passphrase });
+    if (decrypted === null) {
+      throw new Error('Incorrect passphrase or damaged backup');
+    }
+
+    const { keys = {}, metadata = {} } = JSON.parse(decrypted);
+    return { appName: backup.appName, createdAt: backup.createdAt, keys: normalizeVault(keys), metadata };
+  }
+
+  /**
+   * Decrypt a backup and compare it with the current vault, per provider:
+   * 'new' (not stored yet), 'conflict' (a different key is stored) or 'unchanged'
+   */
+  async previewBackup(file, passphrase) {
+    const backup = await this._readBackup(file, passphrase);
+    const current = await this._loadAllKeys();
+
+    const providers = Object.keys(backup.keys).map((provider) => {
+      let status = 'new';
+      if (provider in current) {
+        status = isSameProviderEntry(current[provider], backup.keys[provider]) ? 'unchanged' : 'conflict';
+      }
+      return { provider, status };
+    });
+
+    return { appName: backup.appName, createdAt: backup.createdAt, providers };
+  }
+
+  /**
+   * Import keys from a backup.
+   * mode 'merge' adds providers from the backup and only replaces the
+   * conflicting providers listed in `overwrite`; mode 'replace' swaps the
+   * whole vault for the backup.
+   */
+  async importBackup(file, passphrase, { mode = 'merge', overwrite = [] } = {}) {
+    if (this.isLocked()) {
+      throw new Error('Vault is locked');
+    }
+
+    const backup = await this._readBackup(file, passphrase);
+    const imported = [];
+    const skipped = [];
+
+    await this._withWriteLock(async () => {
+      const current = await this._loadAllKeys();
+      const metadata = await this._loadAllMetadata();
+      let keys;
+
+      if (mode === 'replace') {
+        keys = { ...backup.keys };
+        Object.keys(metadata).forEach((provider) => {
+          if (!(provider in keys)) delete metadata[provider];
+        });
+        imported.push(...Object.keys(keys));
+      } else {
+        keys = { ...current };
+        Object.entries(backup.keys).forEach(([provider, entry]) => {
+          if (provider in current && !isSameProviderEntry(current[provider], entry) && !overwrite.includes(provider)) {
+            skipped.push(provider);
+            return;
+          }
+          keys[provider] = entry;
+          imported.push(provider);
+        });
+      }
+
+      imported.forEach((provider) => {
+        if (backup.metadata[provider]) {
+          metadata[provider] = backup.metadata[provider];
+        }
+      });
+
+      await this._saveAllKeys(keys);
+      await this.backend.setItem(this.metadataKey, JSON.stringify(metadata));
+    });
+
+    this._emit({ action: 'imported', mode, providers: imported });
+
+    return { imported, skipped };
+  }
+
+  /**
+   * Clear all stored data
+   */
+  async clearAll() {
+    await this._withWriteLock(async () => {
+      await this.backend.removeItem(this.storageKey);
+      await this.backend.removeItem(this.metadataKey);
+      await this.backend.removeItem(this.preferencesKey);
+      await this.backend.removeItem(this.archiveKey);
+      this.invalidateCache();
+    });
+    this._emit({ action: 'cleared_all' });
+  }
+}
+
+// ============================================================================
+// KEY ROTATION
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out which stored keys are due for rotation. A key is due at its
+ * `expiresAt`, or `rotationIntervalDays` after it was stored, whichever
+ * comes first.
+ */
+export class KeyRotationManager {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.rotationIntervalDays = options.rotationIntervalDays !== undefined ? options.rotationIntervalDays : 90;
+    this.reminderDays = options.reminderDays ?? 14;
+  }
+
+  /**
+   * Rotation status of a key from its metadata record: 'ok', 'due' (within
+   * `reminderDays` of its due date) or 'overdue'
+   */
+  getKeyStatus(record, now = Date.now()) {
+    const interval = record && record.rotationIntervalDays !== undefined
+      ? record.rotationIntervalDays
+      : this.rotationIntervalDays;
+    const createdAt = record?.createdAt ? Date.parse(record.createdAt) : NaN;
+
+    const dueDates = [];
+    if (record?.expiresAt) dueDates.push(Date.parse(record.expiresAt));
+    if (interval && !Number.isNaN(createdAt)) dueDates.push(createdAt + interval * DAY_MS);
+
+    if (dueDates.length === 0) {
+      return { status: 'ok', dueAt: null, daysLeft: null };
+    }
+
+    const dueAt = Math.min(...dueDates);
+    const daysLeft = Math.ceil((dueAt - now) / DAY_MS);
+    let status = 'ok';
+    if (dueAt <= now) {
+      status = 'overdue';
+    } else if (daysLeft <= this.reminderDays) {
+      status = 'due';
+    }
+    return { status, dueAt: new Date(dueAt).toISOString(), daysLeft };
+  }
+
+  /**
+   * Rotation status of every stored key
+   */
+  async getRotationStatus() {
+    const result = [];
+    try {
+      for (const provider of await this.storage.getConfiguredProviders()) {
+        for (const { label } of await this.storage.listKeys(provider)) {
+          const record = await this.storage.getKeyMetadata(provider, label);
+          result.push({ provider, label, createdAt: record?.createdAt || null, ...this.getKeyStatus(record) });
+        }
+      }
+    } catch {
+      // Locked or unreadable vault: nothing to report
+    }
+    return result;
+  }
+
+  /**
+   * Keys that are due or overdue for rotation
+   */
+  async getDueKeys() {
+    return (await this.getRotationStatus()).filter((item) => item.status !== 'ok');
+  }
+
+  /**
+   * Check whether a key (the default key unless a label is given) should be rotated
+   */
+  async shouldPromptRotation(provider = 'default', label) {
+    const record = await this.storage.getKeyMetadata(provider, label);
+    return record !== null && this.getKeyStatus(record).status !== 'ok';
+  }
+}
+
+// ============================================================================
+// SETUP PROMPTS
+// ============================================================================
+
+/**
+ * When a feature may open the setup dialog by itself:
+ * 'always' - every time it needs a key
+ * 'session' - once per page load
+ * 'snooze' - then not again for `snoozeDays` days
+ * 'never' - only when the user asks (AIFeatureButton, requestKey, settings)
+ */
+export const PROMPT_MODES = ['always', 'session', 'snooze', 'never'];
+
+/**
+ * Applies the user's setup prompt policy. Their choice is saved in the
+ * storage preferences; the `mode` and `snoozeDays` options apply until
+ * they make one.
+ */
+export class SetupPromptPolicy {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.mode = options.mode || 'session';
+    this.snoozeDays = options.snoozeDays ?? 7;
+    this._promptedThisSession = false;
+  }
+
+  async _getSaved() {
+    return (await this.storage.getPreferences()).setupPrompt || {};
+  }
+
+  _save(update) {
+    return this.storage.setPreferences(({ setupPrompt }) => ({ setupPrompt: { ...setupPrompt, ...update } }));
+  }
+
+  /**
+   * The policy in effect: { mode, snoozeDays, snoozedUntil }
+   */
+  async getPolicy() {
+    const saved = await this._getSaved();
+    return {
+      mode: PROMPT_MODES.includes(saved.mode) ? saved.mode : this.mode,
+      snoozeDays: saved.snoozeDays ?? this.snoozeDays,
+      snoozedUntil: saved.snoozedUntil || null
+    };
+  }
+
+  /**
+   * Save the user's choice. Changing the mode ends a running snooze.
+   */
+  async setPolicy({ mode, snoozeDays } = {}) {
+    if (mode !== undefined && !PROMPT_MODES.includes(mode)) {
+      throw new Error(`Unknown prompt mode: ${mode}`);
+    }
+    if (snoozeDays !== undefined && !(snoozeDays > 0)) {
+      throw new Error('snoozeDays must be a positive number');
+    }
+
+    const update = {};
+    if (mode !== undefined) {
+      update.mode = mode;
+      if (mode !== (await this.getPolicy()).mode) update.snoozedUntil = null;
+    }
+    if (snoozeDays !== undefined) update.snoozeDays = snoozeDays;
+    return this._save(update);
+  }
+
+  /**
+   * Whether the setup dialog may open now. `mode` overrides the saved mode
+   * for a single feature.
+   */
+  async shouldPrompt(mode) {
+    if (mode !== undefined && !PROMPT_MODES.includes(mode)) {
+      throw new Error(`Unknown prompt mode: ${mode}`);
+    }
+    const policy = await this.getPolicy();
+    switch (mode || policy.mode) {
+      case 'always':
+        return true;
+      case 'session':
+        return !this._promptedThisSession;
+      case 'snooze':
+        return !policy.snoozedUntil || Date.parse(policy.snoozedUntil) <= Date.now();
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Note that the setup dialog was shown. In snooze mode this starts the snooze.
+   */
+  async recordPrompt(mode) {
+    this._promptedThisSession = true;
+    const policy = await this.getPolicy();
+    if ((mode || policy.mode) === 'snooze') {
+      await this._save({ snoozedUntil: new Date(Date.now() + policy.snoozeDays * DAY_MS).toISOString() });
+    }
+  }
+}
+
+// ============================================================================
+// KEY VERIFICATION
+// ============================================================================
+//
+// A key check sends the provider's test request and classifies the outcome:
+//
+//   valid               The provider accepted the key
+//   invalid             The key was rejected: mistyped, or never existed
+//   revoked             The key was recognized but has been revoked or disabled
+//   insufficient_quota  The account is out of credit or over its quota
+//   rate_limited        Too many requests; the key may well be fine
+//   unreachable         No network, or the server is down
+//   cors_blocked        The server answered but does not allow this page
+//   error               Any other unexpected response
+//   untested            The provider has no test request
+//
+// Providers with their own error conventions add a `classifyTest`.
+
+// Minimum time between two checks against the same provider
+const VERIFY_INTERVAL_MS = 5000;
+
+const VERIFICATION_MESSAGES = {
+  valid: 'The key works.',
+  invalid: 'The provider rejected this key. Check that it was copied correctly.',
+  revoked: 'This key has been revoked or disabled. Create a new key and rotate it in.',
+  insufficient_quota: 'The key is valid, but the account is out of credit or over its quota.',
+  rate_limited: 'The provider is rate limiting requests. Try again in a moment.',
+  unreachable: 'Could not reach the provider. Check your internet connection.',
+  cors_blocked: 'The provider does not accept requests from this page (CORS), so the key could not be tested here.',
+  error: 'The provider sent an unexpected response.',
+  untested: 'This provider has no test request. The key format looks right.'
+};
+
+// Results that say the key itself does not work
+const REJECTED_VERIFICATIONS = ['invalid', 'revoked', 'insufficient_quota'];
+
+// Results of checks that could not reach a verdict on the key
+const INCONCLUSIVE_VERIFICATIONS = ['rate_limited', 'unreachable', 'cors_blocked', 'error'];
+
+const QUOTA_ERROR_PATTERN = /quota|billing|credit|balance/i;
+const REVOKED_ERROR_PATTERN = /revoked|disabled|deactivated|expired|suspended/i;
+
+/**
+ * Thrown when a key check comes sooner than VERIFY_INTERVAL_MS after the
+ * previous check against the same provider. `retryAfter` is in milliseconds.
+ */
+export class VerificationThrottledError extends Error {
+  constructor(retryAfter) {
+    super(`Please wait ${Math.ceil(retryAfter / 1000)}s before testing again`);
+    this.name = 'VerificationThrottledError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Default classification of a test response, from its status code and the
+ * wording of the provider's error
+ */
+function classifyTestResponse(httpStatus, body) {
+  if (httpStatus >= 200 && httpStatus < 300) return 'valid';
+
+  const errorText = [body?.error?.message, body?.error?.code, body?.error?.type, body?.message]
+    .filter((part) => typeof part === 'string')
+    .join(' ');
+  if (httpStatus === 402 || ([400, 403, 429].includes(httpStatus) && QUOTA_ERROR_PATTERN.test(errorText))) {
+    return 'insufficient_quota';
+  }
+  if (httpStatus === 429) return 'rate_limited';
+  if (httpStatus === 401 || httpStatus === 403) {
+    return REVOKED_ERROR_PATTERN.test(errorText) ? 'revoked' : 'invalid';
+  }
+  return 'error';
+}
+
+/**
+ * Whether a server answers at all. Browsers hide why a fetch failed, but a
+ * no-cors request still succeeds when the server responds, so a failure
+ * that passes this check was a CORS block.
+ */
+async function isServerReachable(url) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return false;
+  }
+  try {
+    await fetch(url, { mode: 'no-cors', cache: 'no-store' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks keys against their provider, at most once per VERIFY_INTERVAL_MS
+ * per provider, and records the results in the key metadata
+ */
+export class KeyVerifier {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.minInterval = options.minInterval ?? VERIFY_INTERVAL_MS;
+    this._lastCheckAt = new Map();
+  }
+
+  _throttle(provider) {
+    const now = Date.now();
+    const wait = (this._lastCheckAt.get(provider) || 0) + this.minInterval - now;
+    if (wait > 0) {
+      throw new VerificationThrottledError(wait);
+    }
+    this._lastCheckAt.set(provider, now);
+  }
+
+  /**
+   * Check a key or credential that may not be stored yet. Resolves to
+   * { status, provider, message, httpStatus, retryAfter, modelCount, checkedAt };
+   * `modelCount` is set when the test lists models in a `data` array.
+   * With `waitForThrottle`, waits for the throttle instead of rejecting.
+   */
+  async verifyCredential(provider, credential, { waitForThrottle = false } = {}) {
+    try {
+      this._throttle(provider);
+    } catch (error) {
+      if (!waitForThrottle) throw error;
+      await sleep(error.retryAfter);
+      this._throttle(provider);
+    }
+
+    const checkedAt = new Date().toISOString();
+    const result = (status, { httpStatus = null, retryAfter = null, modelCount = null } = {}) => ({
+      status,
+      provider,
+      message: VERIFICATION_MESSAGES[status],
+      httpStatus,
+      retryAfter,
+      modelCount,
+      checkedAt
+    });
+
+    const test = getTestRequest(provider, credential);
+    if (!test) {
+      return result('untested');
+    }
+
+    let response;
+    try {
+      response = await fetch(test.url, {
+        method: test.method || 'GET',
+        headers: {
+          ...getAuthHeaders(provider, credential),
+          ...(test.body && { 'Content-Type': 'application/json' })
+        },
+        ...(test.body && { body: JSON.stringify(test.body) })
+      });
+    } catch {
+      return result(await isServerReachable(test.url) ? 'cors_blocked' : 'unreachable');
+    }
+
+    const body = await response.json().catch(() => null);
+    const status = getProvider(provider)?.classifyTest?.(response.status, body) ||
+      classifyTestResponse(response.status, body);
+    const retryAfter = Number(response.headers.get('retry-after'));
+    return result(status, {
+      httpStatus: response.status,
+      retryAfter: retryAfter > 0 ? retryAfter : null,
+      modelCount: status === 'valid' && Array.isArray(body?.data) ? body.data.length : null
+    });
+  }
+
+  /**
+   * Check a stored key (the default key unless a label is given) and save
+   * the result in its metadata. Resolves to the result with its `label`.
+   */
+  async verifyKey(provider = 'default', label) {
+    const keyLabel = label || (await this.storage.listKeys(provider)).find((item) => item.isDefault)?.label;
+    const credential = keyLabel
+      ? await this.storage.retrieveKey(provider, keyLabel, { recordUse: false, credential: true })
+      : null;
+    if (!credential) {
+      throw new MissingKeyError(provider);
+    }
+
+    const result = await this.verifyCredential(provider, credential);
+    await this.storage.recordVerification(provider, keyLabel, result);
+    return { ...result, label: keyLabel };
+  }
+
+  /**
+   * Keys whose last check could not reach a verdict, such as keys saved
+   * while offline: [{ provider, label, status, checkedAt }]
+   */
+  async getUnverifiedKeys() {
+    const result = [];
+    try {
+      for (const provider of await this.storage.getConfiguredProviders()) {
+        for (const { label } of await this.storage.listKeys(provider)) {
+          const verification = (await this.storage.getKeyMetadata(provider, label))?.lastVerification;
+          if (verification && INCONCLUSIVE_VERIFICATIONS.includes(verification.status)) {
+            result.push({ provider, label, ...verification });
+          }
+        }
+      }
+    } catch {
+      // Locked or unreadable vault: nothing to report
+    }
+    return result;
+  }
+}
+
+// ============================================================================
+// CHAT CLIENT
+// ============================================================================
+//
+// complete() and stream() take the same request for every provider:
+//
+//   { provider, label, model, messages, system, maxTokens, temperature,
+//     stopSequences, signal }
+//
+// Messages are { role: 'system' | 'user' | 'assistant', content: string }.
+// Without a provider, the first configured provider that supports chat is
+// used; `model` may be a string or an object keyed by provider id. A chat
+// format converts the request to the provider's wire format and normalizes
+// the reply:
+//
+//   text        The generated text
+//   stopReason  'end', 'max_tokens', 'stop_sequence', 'tool_use',
+//               'content_filter', or null if the provider gave none
+//   usage       { inputTokens, outputTokens }, null where not reported
+//
+// Failed requests throw a ChatError.
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+/**
+ * Thrown when a chat request fails. `code` is 'auth', 'rate_limit',
+ * 'invalid_request', 'overloaded', 'server' or 'network'.
+ */
+export class ChatError extends Error {
+  constructor(message, { provider = null, code = 'server', status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ChatError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function getErrorCode(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status === 503 || status === 529) return 'overloaded';
+  if (status >= 500) return 'server';
+  return 'invalid_request';
+}
+
+/**
+ * The system prompt (from `system` and any system messages) and the
+ * remaining conversation
+ */
+function splitSystemPrompt(request) {
+  const system = [request.system, ...request.messages
+    .filter((message) => message.role === 'system')
+    .map((message) => message.content)]
+    .filter(Boolean)
+    .join('\n\n');
+  return {
+    system: system || null,
+    messages: request.messages
+      .filter((message) => message.role !== 'system')
+      .map(({ role, content }) => ({ role, content }))
+  };
+}
+
+// Each format builds the request body, parses a complete reply, and applies
+// one streamed event to the running `state`, returning any new text.
+const CHAT_FORMATS = {
+  openai: {
+    stopReasons: {
+      stop: 'end',
+      length: 'max_tokens',
+      content_filter: 'content_filter',
+      tool_calls: 'tool_use',
+      function_call: 'tool_use'
+    },
+    body(request, { stream, streamUsage }) {
+      const { system, messages } = splitSystemPrompt(request);
+      return {
+        model: request.model,
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        ...(request.maxTokens && { max_tokens: request.maxTokens }),
+        ...(request.temperature !== undefined && { temperature: request.temperature }),
+        ...(request.stopSequences?.length && { stop: request.stopSequences }),
+        ...(stream && { stream: true }),
+        ...(stream && streamUsage && { stream_options: { include_usage: true } })
+      };
+    },
+    parse(body) {
+      const choice = body.choices?.[0];
+      return {
+        model: body.model,
+        text: choice?.message?.content || '',
+        stopReason: this.stopReasons[choice?.finish_reason] || null,
+        usage: {
+          inputTokens: body.usage?.prompt_tokens ?? null,
+          outputTokens: body.usage?.completion_tokens ?? null
+        }
+      };
+    },
+    streamEvent(data, state) {
+      if (data === '[DONE]') return '';
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new ChatError(chunk.error.message || 'The provider reported an error');
+      }
+      if (chunk.model) state.model = chunk.model;
+      if (chunk.usage) {
+        state.usage = {
+          inputTokens: chunk.usage.prompt_tokens ?? null,
+          outputTokens: chunk.usage.completion_tokens ?? null
+        };
+      }
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) {
+        state.stopReason = this.stopReasons[choice.finish_reason] || null;
+      }
+      return choice?.delta?.content || '';
+    },
+    errorMessage: (body) => body?.error?.message
+  },
+
+  anthropic: {
+    stopReasons: {
+      end_turn: 'end',
+      max_tokens: 'max_tokens',
+      stop_sequence: 'stop_sequence',
+      tool_use: 'tool_use',
+      refusal: 'content_filter'
+    },
+    errorCodes: {
+      authentication_error: 'auth',
+      permission_error: 'auth',
+      rate_limit_error: 'rate_limit',
+      overloaded_error: 'overloaded',
+      api_error: 'server'
+    },
+    body(request, { stream }) {
+      const { system, messages } = splitSystemPrompt(request);
+      return {
+        model: request.model,
+        max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+        messages,
+        ...(system && { system }),
+        ...(request.temperature !== undefined && { temperature: request.temperature }),
+        ...(request.stopSequences?.length && { stop_sequences: request.stopSequences }),
+        ...(stream && { stream: true })
+      };
+    },
+    parse(body) {
+      return {
+        model: body.model,
+        text: (body.content || [])
+          .filter((block) => block.type === 'text')
+          .map((block) => block.text)
+          .join(''),
+        stopReason: this.stopReasons[body.stop_reason] || null,
+        usage: {
+          inputTokens: body.usage?.input_tokens ?? null,
+          outputTokens: body.usage?.output_tokens ?? null
+        }
+      };
+    },
+    streamEvent(data, state) {
+      const payload = JSON.parse(data);
+      switch (payload.type) {
+        case 'message_start':
+          state.model = payload.message.model;
+          state.usage.inputTokens = payload.message.usage?.input_tokens ?? null;
+          return '';
+        case 'content_block_delta':
+          return payload.delta.type === 'text_delta' ? payload.delta.text : '';
+        case 'message_delta':
+          state.stopReason = this.stopReasons[payload.delta.stop_reason] || null;
+          state.usage.outputTokens = payload.usage?.output_tokens ?? state.usage.outputTokens;
+          return '';
+        case 'error':
+          throw new ChatError(payload.error.message, {
+            code: this.errorCodes[payload.error.type] || 'invalid_request'
+          });
+        default:
+          return '';
+      }
+    },
+    errorMessage: (body) => body?.error?.message
+  },
+
+  cohere: {
+    stopReasons: {
+      COMPLETE: 'end',
+      MAX_TOKENS: 'max_tokens',
+      STOP_SEQUENCE: 'stop_sequence',
+      TOOL_CALL: 'tool_use',
+      ERROR_TOXIC: 'content_filter'
+    },
+    body(request, { stream }) {
+      const { system, messages } = splitSystemPrompt(request);
+      return {
+        model: request.model,
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        ...(request.maxTokens && { max_tokens: request.maxTokens }),
+        ...(request.temperature !== undefined && { temperature: request.temperature }),
+        ...(request.stopSequences?.length && { stop_sequences: request.stopSequences }),
+        ...(stream && { stream: true })
+      };
+    },
+    usage(usage) {
+      const tokens = usage?.tokens || usage?.billed_units;
+      return {
+        inputTokens: tokens?.input_tokens ?? null,
+        outputTokens: tokens?.output_tokens ?? null
+      };
+    },
+    parse(body, request) {
+      return {
+        // The v2 reply does not echo the model
+        model: request.model,
+        text: (body.message?.content || [])
+          .filter((block) => block.type === 'text')
+          .map((block) => block.text)
+          .join(''),
+        stopReason: this.stopReasons[body.finish_reason] || null,
+        usage: this.usage(body.usage)
+      };
+    },
+    streamEvent(data, state) {
+      const payload = JSON.parse(data);
+      if (payload.type === 'content-delta') {
+        return payload.delta?.message?.content?.text || '';
+      }
+      if (payload.type === 'message-end') {
+        state.stopReason = this.stopReasons[payload.delta?.finish_reason] || null;
+        state.usage = this.usage(payload.delta?.usage);
+      }
+      return '';
+    },
+    errorMessage: (body) => body?.message
+  }
+};
+
+/**
+ * Parse a server-sent event stream into { event, data } messages
+ */
+async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  try {
+    while (!finished) {
+      const { done, value } = await reader.read();
+      finished = done;
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = done ? '' : blocks.pop();
+      for (const block of blocks) {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split(/\r?\n/)) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        }
+        if (data.length > 0) {
+          yield { event, data: data.join('\n') };
+        }
+      }
+    }
+  } finally {
+    // The caller stopped reading early: close the connection
+    if (!finished) {
+      reader.cancel().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Provider-agnostic chat completions using the stored keys. `endpoints`
+ * replaces a provider's chat URL, e.g. to point tests at a mock server:
+ * new ChatClient(storage, { endpoints: { openai: 'http://localhost:4010/v1/chat/completions' } })
+ */
+export class ChatClient {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.endpoints = options.endpoints || {};
+  }
+
+  /**
+   * The requested provider, or the first configured one that supports chat
+   */
+  async _resolveProvider(provider) {
+    if (provider) return provider;
+
+    const configured = await this.storage.getConfiguredProviders().catch(() => []);
+    const match = this.storage.providers.find((id) => configured.includes(id) && getProvider(id)?.chat);
+    if (!match) {
+      throw new MissingKeyError(null, 'No stored key for a provider that supports chat');
+    }
+    return match;
+  }
+
+  /**
+   * Send a chat request and return the successful response
+   */
+  async _send(request, stream) {
+    const provider = await this._resolveProvider(request.provider);
+    const label = getProviderLabel(provider);
+    const chat = getProvider(provider)?.chat;
+    if (!chat) {
+      throw new ChatError(`${label} does not support chat`, { provider, code: 'invalid_request' });
+    }
+
+    const credential = await this.storage.retrieveKey(provider, request.label, { credential: true });
+    if (!credential) {
+      throw new MissingKeyError(provider);
+    }
+
+    const requestedModel = request.model && typeof request.model === 'object'
+      ? request.model[provider]
+      : request.model;
+    const model = requestedModel ||
+      (typeof chat.defaultModel === 'function' ? chat.defaultModel(credential) : chat.defaultModel);
+    if (!model) {
+      throw new ChatError(`No model given for ${label}`, { provider, code: 'invalid_request' });
+    }
+
+    const format = CHAT_FORMATS[chat.format];
+    const url = this.endpoints[provider] || (typeof chat.url === 'function' ? chat.url(credential) : chat.url);
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...getAuthHeaders(provider, credential)
+        },
+        body: JSON.stringify(format.body({ ...request, model }, { stream, streamUsage: chat.streamUsage })),
+        signal: request.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new ChatError(`Could not reach ${label}`, { provider, code: 'network' });
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      const retryAfter = Number(response.headers.get('retry-after'));
+      throw new ChatError(format.errorMessage(body) || `${label} responded with an error (${response.status})`, {
+        provider,
+        code: getErrorCode(response.status),
+        status: response.status,
+        retryAfter: retryAfter > 0 ? retryAfter : null
+      });
+    }
+
+    return { provider, model, format, response };
+  }
+
+  /**
+   * Generate a reply: { provider, model, text, stopReason, usage }
+   */
+  async complete(request) {
+    const { provider, model, format, response } = await this._send(request, false);
+    let body;
+    try {
+      body = await response.json();
+    } catch {
+      throw new ChatError(`${getProviderLabel(provider)} sent an unreadable response`, { provider });
+    }
+    return { provider, ...format.parse(body, { ...request, model }) };
+  }
+
+  /**
+   * Stream a reply. Yields { type: 'text', text } for each piece of text,
+   * then { type: 'done', provider, model, text, stopReason, usage }.
+   */
+  async *stream(request) {
+    const { provider, model, format, response } = await this._send(request, true);
+    const state = { model, text: '', stopReason: null, usage: { inputTokens: null, outputTokens: null } };
+
+    try {
+      for await (const { data } of readServerSentEvents(response.body)) {
+        const text = format.streamEvent(data, state);
+        if (text) {
+          state.text += text;
+          yield { type: 'text', text };
+        }
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      if (error instanceof ChatError) {
+        error.provider = provider;
+        throw error;
+      }
+      throw new ChatError(`The response from ${getProviderLabel(provider)} was interrupted`, {
+        provider,
+        code: 'network'
+      });
+    }
+
+    yield { type: 'done', provider, ...state };
+  }
+}
+
+// ============================================================================
+// REACT CONTEXT
+// ============================================================================
+
+const BYOKContext = createContext(null);
+
+/**
+ * The stored key a setup request is waiting for, as { provider, key }: from
+ * any provider of its chain, or from its one provider
+ */
+async function findRequestKey(storage, request) {
+  if (request.chain) {
+    return storage.findKey(request.chain, { label: request.label, credential: request.credential });
+  }
+  const key = await storage.retrieveKey(request.provider, request.label, { credential: request.credential });
+  return key ? { provider: request.provider, key } : null;
+}
+
+export function useBYOK() {
+  const context = useContext(BYOKContext);
+  if (!context) {
+    throw new Error('useBYOK must be used within a BYOKProvider');
+  }
+  return context;
+}
+
+// ============================================================================
+// PROVIDER COMPONENT
+// ============================================================================
+
+export function BYOKProvider({ 
+  children, 
+  appName, 
+  providers = ['openai', 'anthropic'],
+  onKeyChange,
+  backend,
+  lockMode = 'device',
+  autoLockTimeout = 15 * 60 * 1000,
+  lockOnHidden = false,
+  cacheTTL,
+  rotationIntervalDays = 90,
+  verifyOnSave = false,
+  promptMode = 'session',
+  snoozeDays = 7,
+  chatEndpoints,
+  theme = 'auto'
+}) {
+  const [storage] = useState(() => new SecureKeyStorage(appName, { providers, onKeyChange, backend, lockMode, cacheTTL }));
+  // Provider definition objects are registered; the rest of the UI works with ids.
+  // Keyed on the ids, so a new array with the same providers keeps effects still.
+  const providerKey = providers.map((provider) => (typeof provider === 'string' ? provider : provider.id)).join('\n');
+  const providerIds = useMemo(() => {
+    // Updated during render, not in an effect, so children's effects already see the new list
+    storage.setProviders(providers);
+    return storage.providers;
+  }, [providerKey]);
+  const [rotationManager] = useState(() => new KeyRotationManager(storage, { rotationIntervalDays }));
+  const [keyVerifier] = useState(() => new KeyVerifier(storage));
+  const [promptPolicy] = useState(() => new SetupPromptPolicy(storage, { mode: promptMode, snoozeDays }));
+  const [chatClient] = useState(() => new ChatClient(storage, { endpoints: chatEndpoints }));
+  const [hasKey, setHasKey] = useState({});
+  const [keyLabels, setKeyLabels] = useState({});
+  const [rotationDue, setRotationDue] = useState([]);
+  const [unverifiedKeys, setUnverifiedKeys] = useState([]);
+  const [promptSettings, setPromptSettings] = useState(null);
+  const [providerOrder, setProviderOrder] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [locked, setLocked] = useState(() => storage.isLocked());
+  const [vaultUnreadable, setVaultUnreadable] = useState(false);
+  const [showSetup, setShowSetup] = useState(false);
+  const [showUnlock, setShowUnlock] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const setupRequestRef = useRef(null);
+  const setupQueueRef = useRef([]);
+  const [setupRequest, setSetupRequest] = useState(null);
+  const [activeProvider, setActiveProvider] = useState('openai');
+  const [activeKeyLabel, setActiveKeyLabel] = useState('');
+  const [resolvedTheme, setResolvedTheme] = useState('light');
+
+  useEffect(() => {
+    if (theme === 'auto') {
+      const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      setResolvedTheme(mediaQuery.matches ? 'dark' : 'light');
+      const handler = (e) => setResolvedTheme(e.matches ? 'dark' : 'light');
+      mediaQuery.addEventListener('change', handler);
+      return () => mediaQuery.removeEventListener('change', handler);
+    } else {
+      setResolvedTheme(theme);
+    }
+  }, [theme]);
+
+  const checkKeys = useCallback(async () => {
+    setIsLoading(true);
+    const keyStatus = {};
+    const labels = {};
+    for (const provider of providerIds) {
+      keyStatus[provider] = await storage.hasKey(provider);
+      labels[provider] = await storage.listKeys(provider);
+    }
+    setHasKey(keyStatus);
+    setKeyLabels(labels);
+    setRotationDue(await rotationManager.getDueKeys());
+    setUnverifiedKeys(await keyVerifier.getUnverifiedKeys());
+    setPromptSettings(await promptPolicy.getPolicy());
+    setProviderOrder(await storage.getProviderOrder());
+    setLocked(storage.isLocked());
+    setVaultUnreadable(!(await storage.isVaultReadable()));
     setIsLoading(false);
-  }, [storage, providers]);
+    return keyStatus;
+  }, [storage, rotationManager, keyVerifier, promptPolicy, providerIds]);
+
+  useEffect(() => {
+    checkKeys();
+  }, [checkKeys]);
+
+  // Keep key state in sync with changes made in other tabs
+  useEffect(() => storage.subscribe(() => {
+    checkKeys();
+  }), [storage, checkKeys]);
+
+  const updatePromptSettings = useCallback(async (update) => {
+    const saved = await promptPolicy.setPolicy(update);
+    setPromptSettings(await promptPolicy.getPolicy());
+    return saved;
+  }, [promptPolicy]);
+
+  const updateProviderOrder = useCallback(async (order) => {
+    const saved = await storage.setProviderOrder(order);
+    setProviderOrder(await storage.getProviderOrder());
+    return saved;
+  }, [storage]);
+
+  const showSetupPrompt = useCallback(async (request) => {
+    setShowSetup(true);
+    await promptPolicy.recordPrompt(request.prompt);
+    setPromptSettings(await promptPolicy.getPolicy());
+  }, [promptPolicy]);
+
+  /**
+   * Open the dialog for the next queued setup request, one request at a time.
+   * Requests whose key was stored while they waited finish straight away, and
+   * so do feature requests the prompt policy no longer allows.
+   */
+  const processSetupQueue = useCallback(async () => {
+    while (!setupRequestRef.current && setupQueueRef.current.length > 0) {
+      const request = setupQueueRef.current.shift();
+      setupRequestRef.current = request;
+
+      const found = storage.isLocked() ? null : await findRequestKey(storage, request);
+      const key = found?.key || null;
+      const suppressed = !key && !vaultUnreadable && !request.explicit && !storage.isLocked() &&
+        !(await promptPolicy.shouldPrompt(request.prompt));
+      if (key || vaultUnreadable || suppressed) {
+        setupRequestRef.current = null;
+        // Saving a new key would fail until the user resolves the unreadable vault
+        if (!key && !suppressed) setShowSettings(true);
+        request.onSetupComplete?.({
+          status: key ? 'existing' : suppressed ? 'suppressed' : 'skipped',
+          requestedProvider: request.provider,
+          provider: found?.provider || request.provider,
+          key
+        });
+        continue;
+      }
+
+      setSetupRequest({
+        provider: request.provider,
+        label: request.label || null,
+        reason: request.reason || null,
+        featureName: request.featureName || null,
+        providers: request.chain || [request.provider],
+        explicit: Boolean(request.explicit)
+      });
+      setActiveProvider(request.provider);
+      setActiveKeyLabel(request.label || '');
+      if (storage.isLocked()) {
+        setShowUnlock(true);
+      } else {
+        await showSetupPrompt(request);
+      }
+    }
+  }, [storage, vaultUnreadable, promptPolicy, showSetupPrompt]);
+
+  const enqueueSetupRequest = useCallback((request) => {
+    setupQueueRef.current.push(request);
+    processSetupQueue();
+  }, [processSetupQueue]);
+
+  /**
+   * Tell the call that opened the setup (or unlock) dialog how it ended,
+   * then move on to the next queued request. Status is 'saved',
+   * 'saved_other_provider', 'unlocked', 'existing', 'suppressed' or 'skipped'.
+   */
+  const completeSetupRequest = useCallback(async ({ status, provider, label }) => {
+    const request = setupRequestRef.current;
+    if (!request) return;
+
+    const keyProvider = provider || request.provider;
+    const key = status === 'saved' || status === 'unlocked'
+      ? await storage.retrieveKey(keyProvider, label || request.label, {
+        credential: request.credential ?? Boolean(getProvider(keyProvider)?.keyOptional)
+      })
+      : null;
+    setupRequestRef.current = null;
+    setSetupRequest(null);
+    request.onSetupComplete?.({
+      status,
+      requestedProvider: request.provider,
+      provider: keyProvider,
+      key
+    });
+    processSetupQueue();
+  }, [storage, processSetupQueue]);
 
-  useEffect(() => {
-    checkKeys();
-  }, [checkKeys]);
+  /**
+   * A key for a feature, opening the setup (or unlock) dialog if there is
+   * none. `provider` may also be an ordered list of providers or
+   * { capability }: then the first one with a key is returned as
+   * { provider, key }, and the dialog opens only if none of them has one.
+   * Keyless providers resolve to their credential: the key alone would be empty.
+   */
+  const tryEnableFeature = useCallback(async (provider = activeProvider, label, {
+    credential,
+    prompt,
+    onSetupComplete
+  } = {}) => {
+    const chain = typeof provider === 'string' ? null : await storage.resolveProviderChain(provider);
+    if (chain) {
+      const found = await storage.findKey(chain, { label, credential });
+      if (found || chain.length === 0) return found;
+    } else if (hasKey[provider]) {
+      const key = await storage.retrieveKey(provider, label, {
+        credential: credential ?? Boolean(getProvider(provider)?.keyOptional)
+      });
+      if (key) return key;
+    }
 
-  const tryEnableFeature = useCallback(async (provider = activeProvider) => {
-    if (hasKey[provider]) {
-      return await storage.retrieveKey(provider);
+    if (vaultUnreadable) {
+      setShowSettings(true);
+      return null;
     }
-    
-    if (!setupShownRef.current) {
-      setActiveProvider(provider);
-      setShowSetup(true);
-      setupShownRef.current = true;
+
+    const request = {
+      provider: chain ? chain[0] : provider,
+      chain,
+      label,
+      credential: chain ? credential : credential ?? Boolean(getProvider(provider)?.keyOptional),
+      prompt,
+      onSetupComplete
+    };
+
+    // Unlocking is always offered; the setup dialog when the prompt policy allows
+    if (storage.isLocked() || await promptPolicy.shouldPrompt(prompt)) {
+      enqueueSetupRequest(request);
+    } else {
+      onSetupComplete?.({ status: 'suppressed', requestedProvider: request.provider, provider: request.provider, key: null });
     }
     
     return null;
-  }, [hasKey, storage, activeProvider]);
+  }, [hasKey, storage, activeProvider, vaultUnreadable, promptPolicy, enqueueSetupRequest]);
+
+  /**
+   * Ask the user for a key and wait for it: resolves with the key once it is
+   * saved, or null if the user skips. `reason` and `featureName` are shown in
+   * the dialog. While one request is open, later ones wait their turn.
+   */
+  const requestKey = useCallback(async (provider = activeProvider, {
+    label,
+    reason,
+    featureName,
+    credential = Boolean(getProvider(provider)?.keyOptional)
+  } = {}) => {
+    if (!storage.isLocked()) {
+      const key = await storage.retrieveKey(provider, label, { credential });
+      if (key) return key;
+    }
+
+    return new Promise((resolve) => {
+      enqueueSetupRequest({
+        provider,
+        label,
+        credential,
+        reason,
+        featureName,
+        explicit: true,
+        onSetupComplete: ({ key }) => resolve(key)
+      });
+    });
+  }, [storage, activeProvider, enqueueSetupRequest]);
+
+  const lock = useCallback(async () => {
+    storage.lock();
+    setShowSetup(false);
+    // A feature waiting on the setup dialog gets no key
+    completeSetupRequest({ status: 'skipped' });
+    await checkKeys();
+  }, [storage, checkKeys, completeSetupRequest]);
+
+  const unlock = useCallback(async (passphrase) => {
+    return storage.unlock(passphrase);
+  }, [storage]);
+
+  // Auto-lock after a period of inactivity or when the tab is hidden
+  useEffect(() => {
+    if (lockMode !== 'passphrase' || locked) return;
+
+    let timer = null;
+    const resetTimer = () => {
+      clearTimeout(timer);
+      if (autoLockTimeout > 0) {
+        timer = setTimeout(lock, autoLockTimeout);
+      }
+    };
+    const handleVisibilityChange = () => {
+      if (lockOnHidden && document.visibilityState === 'hidden') {
+        lock();
+      }
+    };
+    const activityEvents = ['pointerdown', 'keydown', 'mousemove', 'wheel', 'touchstart'];
+
+    resetTimer();
+    activityEvents.forEach((event) => window.addEventListener(event, resetTimer, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearTimeout(timer);
+      activityEvents.forEach((event) => window.removeEventListener(event, resetTimer));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [lockMode, locked, autoLockTimeout, lockOnHidden, lock]);
 
-  const getKeySilent = useCallback(async (provider = activeProvider) => {
-    return hasKey[provider] ? await storage.retrieveKey(provider) : null;
+  /**
+   * A key without showing any UI. Like tryEnableFeature, takes a provider
+   * list or { capability } and then returns { provider, key }.
+   */
+  const getKeySilent = useCallback(async (provider = activeProvider, label, { credential } = {}) => {
+    if (typeof provider !== 'string') {
+      return storage.findKey(provider, { label, credential });
+    }
+    return hasKey[provider]
+      ? await storage.retrieveKey(provider, label, {
+        credential: credential ?? Boolean(getProvider(provider)?.keyOptional)
+      })
+      : null;
   }, [hasKey, storage, activeProvider]);
 
-  const handleKeySaved = useCallback(async () => {
+  /**
+   * fetch() with the provider's auth headers added. Shows no UI: rejects with
+   * MissingKeyError when there is no key.
+   */
+  const fetchWithKey = useCallback((provider = activeProvider, url, init) => {
+    return storage.createAuthorizedFetch(provider)(url, init);
+  }, [storage, activeProvider]);
+
+  const complete = useCallback((request) => chatClient.complete(request), [chatClient]);
+
+  const stream = useCallback((request) => chatClient.stream(request), [chatClient]);
+
+  /**
+   * Called by the setup dialog with the provider and label the key was saved under
+   */
+  const handleKeySaved = useCallback(async ({ provider, label } = {}) => {
     setShowSetup(false);
     await checkKeys();
-  }, [checkKeys]);
+
+    // A key for any provider of a request's chain is what the feature asked for
+    const request = setupRequestRef.current;
+    const accepted = !provider || provider === request?.provider || Boolean(request?.chain?.includes(provider));
+    await completeSetupRequest({
+      status: accepted ? 'saved' : 'saved_other_provider',
+      provider,
+      label
+    });
+  }, [checkKeys, completeSetupRequest]);
 
   const handleSetupSkipped = useCallback(() => {
     setShowSetup(false);
-  }, []);
+    completeSetupRequest({ status: 'skipped' });
+  }, [completeSetupRequest]);
+
+  const handleUnlocked = useCallback(async () => {
+    setShowUnlock(false);
+    await checkKeys();
+    const request = setupRequestRef.current;
+    const found = request ? await findRequestKey(storage, request) : null;
+
+    // The feature that asked for a key still has none: continue with setup
+    if (request && !found) {
+      if (request.explicit || await promptPolicy.shouldPrompt(request.prompt)) {
+        setActiveProvider(request.provider);
+        await showSetupPrompt(request);
+      } else {
+        await completeSetupRequest({ status: 'suppressed' });
+      }
+    } else if (request) {
+      await completeSetupRequest({ status: 'unlocked', provider: found.provider });
+    }
+  }, [storage, checkKeys, completeSetupRequest, promptPolicy, showSetupPrompt]);
 
-  const deleteKey = useCallback(async (provider = activeProvider) => {
-    const success = await storage.deleteKey(provider);
+  const handleUnlockCancelled = useCallback(() => {
+    setShowUnlock(false);
+    completeSetupRequest({ status: 'skipped' });
+  }, [completeSetupRequest]);
+
+  const deleteKey = useCallback(async (provider = activeProvider, label) => {
+    const success = await storage.deleteKey(provider, label);
     if (success) {
       await checkKeys();
     }
@@ -405,18 +3670,46 @@ export function BYOKProvider({
   const value = {
     storage,
     hasKey,
+    keyLabels,
+    rotationDue,
+    unverifiedKeys,
+    verifyOnSave,
+    promptSettings,
+    updatePromptSettings,
+    providerOrder,
+    updateProviderOrder,
+    rotationManager,
+    keyVerifier,
+    promptPolicy,
+    chatClient,
     isLoading,
+    locked,
+    lockMode,
+    vaultUnreadable,
     showSetup,
+    showUnlock,
     showSettings,
     setShowSetup,
+    setShowUnlock,
     setShowSettings,
     activeProvider,
     setActiveProvider,
-    providers,
+    activeKeyLabel,
+    setActiveKeyLabel,
+    providers: providerIds,
+    setupRequest,
     tryEnableFeature,
+    requestKey,
     getKeySilent,
+    fetchWithKey,
+    complete,
+    stream,
     handleKeySaved,
     handleSetupSkipped,
+    handleUnlocked,
+    handleUnlockCancelled,
+    lock,
+    unlock,
     deleteKey,
     checkKeys,
     theme: resolvedTheme
@@ -633,6 +3926,24 @@ const styles = `
     margin-bottom: 8px;
   }
 
+  .byok-error-action {
+    margin-left: auto;
+    padding: 0;
+    border: none;
+    background: none;
+    font: inherit;
+    font-weight: 600;
+    color: inherit;
+    text-decoration: underline;
+    cursor: pointer;
+    white-space: nowrap;
+  }
+
+  .byok-input-label-hint {
+    font-weight: 400;
+    color: var(--byok-text-tertiary);
+  }
+
   .byok-input-wrapper {
     position: relative;
     display: flex;
@@ -713,6 +4024,37 @@ const styles = `
     flex-shrink: 0;
   }
 
+  .byok-notice {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-top: 10px;
+    padding: 10px 14px;
+    font-size: 13px;
+    color: var(--byok-warning);
+    background: var(--byok-warning-bg);
+    border-radius: var(--byok-radius-sm);
+  }
+
+  .byok-notice svg {
+    width: 16px;
+    height: 16px;
+    flex-shrink: 0;
+  }
+
+  .byok-provider-confirm {
+    width: 100%;
+  }
+
+  .byok-provider-confirm-message {
+    margin: 0 0 12px;
+    padding: 10px 14px;
+    font-size: 13px;
+    color: var(--byok-warning);
+    background: var(--byok-warning-bg);
+    border-radius: var(--byok-radius-sm);
+  }
+
   .byok-dialog-footer {
     padding: 0 28px 28px;
     display: flex;
@@ -803,6 +4145,21 @@ const styles = `
     height: 14px;
   }
 
+  .byok-text-btn {
+    font-family: var(--byok-font-sans);
+    font-size: 13px;
+    color: var(--byok-text-tertiary);
+    background: none;
+    border: none;
+    padding: 0;
+    cursor: pointer;
+    transition: color 0.15s ease;
+  }
+
+  .byok-text-btn:hover:not(:disabled) {
+    color: var(--byok-text-primary);
+  }
+
   .byok-spinner {
     width: 18px;
     height: 18px;
@@ -898,6 +4255,23 @@ const styles = `
     color: var(--byok-text-tertiary);
   }
 
+  .byok-key-card-status.unverified {
+    background: var(--byok-warning-bg);
+    color: var(--byok-warning);
+  }
+
+  .byok-key-card-status.unreadable {
+    background: var(--byok-error-bg);
+    color: var(--byok-error);
+  }
+
+  .byok-key-card-description {
+    margin: 0 0 12px;
+    font-size: 13px;
+    line-height: 1.6;
+    color: var(--byok-text-secondary);
+  }
+
   .byok-key-card-value {
     font-family: var(--byok-font-mono);
     font-size: 13px;
@@ -910,6 +4284,82 @@ const styles = `
     word-break: break-all;
   }
 
+  .byok-rotation-banner {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 12px;
+    margin-bottom: 12px;
+    border-radius: var(--byok-radius-sm);
+    font-size: 13px;
+    background: var(--byok-warning-bg);
+    color: var(--byok-warning);
+  }
+
+  .byok-rotation-banner.overdue {
+    background: var(--byok-error-bg);
+    color: var(--byok-error);
+  }
+
+  .byok-rotation-banner span {
+    flex: 1;
+  }
+
+  .byok-rotation-banner svg {
+    flex-shrink: 0;
+  }
+
+  .byok-select {
+    width: 100%;
+    font-family: var(--byok-font-sans);
+    font-size: 13px;
+    padding: 8px 12px;
+    margin-bottom: 8px;
+    border: 1px solid var(--byok-border);
+    border-radius: var(--byok-radius-sm);
+    background: var(--byok-bg-primary);
+    color: var(--byok-text-primary);
+    cursor: pointer;
+  }
+
+  .byok-select:focus {
+    outline: none;
+    border-color: var(--byok-border-focus);
+    box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.15);
+  }
+
+  .byok-credential-fields {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: 4px 12px;
+    margin: -4px 0 12px;
+    font-size: 12px;
+  }
+
+  .byok-credential-fields dt {
+    color: var(--byok-text-tertiary);
+  }
+
+  .byok-credential-fields dd {
+    margin: 0;
+    font-family: var(--byok-font-mono);
+    color: var(--byok-text-secondary);
+    word-break: break-all;
+  }
+
+  .byok-key-card-meta {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px 12px;
+    margin: -4px 0 12px;
+    font-size: 12px;
+    color: var(--byok-text-tertiary);
+  }
+
+  .byok-key-card-meta .stale {
+    color: var(--byok-warning);
+  }
+
   .byok-key-card-actions {
     display: flex;
     gap: 8px;
@@ -932,45 +4382,148 @@ const styles = `
     color: var(--byok-text-secondary);
   }
 
-  .byok-key-card-btn:hover {
-    background: var(--byok-bg-tertiary);
-    color: var(--byok-text-primary);
+  .byok-key-card-btn:hover {
+    background: var(--byok-bg-tertiary);
+    color: var(--byok-text-primary);
+  }
+
+  .byok-key-card-btn.danger:hover {
+    background: var(--byok-error-bg);
+    color: var(--byok-error);
+    border-color: var(--byok-error);
+  }
+
+  .byok-key-card-btn svg {
+    width: 14px;
+    height: 14px;
+  }
+
+  .byok-key-card-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  .byok-test-result {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 14px;
+    font-size: 13px;
+    border-radius: var(--byok-radius-sm);
+    margin-top: 12px;
+  }
+
+  .byok-test-result.success {
+    background: var(--byok-success-bg);
+    color: var(--byok-success);
+  }
+
+  .byok-test-result.error {
+    background: var(--byok-error-bg);
+    color: var(--byok-error);
+  }
+
+  .byok-test-result.warning {
+    background: var(--byok-warning-bg);
+    color: var(--byok-warning);
+  }
+
+  .byok-test-result svg {
+    width: 16px;
+    height: 16px;
+  }
+
+  .byok-settings-section {
+    margin-top: 20px;
+    padding-top: 20px;
+    border-top: 1px solid var(--byok-border);
+  }
+
+  .byok-settings-section-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 12px;
+    margin-bottom: 12px;
+  }
+
+  .byok-settings-section-title {
+    font-size: 13px;
+    font-weight: 600;
+    color: var(--byok-text-primary);
+  }
+
+  .byok-radio-group {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    margin-bottom: 12px;
+  }
+
+  .byok-radio {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 13px;
+    color: var(--byok-text-secondary);
+    cursor: pointer;
+  }
+
+  .byok-inline-number {
+    width: 56px;
+    font-family: var(--byok-font-sans);
+    font-size: 13px;
+    padding: 4px 8px;
+    border: 1px solid var(--byok-border);
+    border-radius: var(--byok-radius-sm);
+    background: var(--byok-bg-primary);
+    color: var(--byok-text-primary);
+  }
+
+  .byok-inline-number:focus {
+    outline: none;
+    border-color: var(--byok-border-focus);
+  }
+
+  .byok-backup-preview {
+    list-style: none;
+    margin: 0 0 12px;
+    padding: 0;
+  }
+
+  .byok-backup-preview-item {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    gap: 12px;
+    padding: 8px 0;
+    border-bottom: 1px solid var(--byok-border);
   }
 
-  .byok-key-card-btn.danger:hover {
-    background: var(--byok-error-bg);
-    color: var(--byok-error);
-    border-color: var(--byok-error);
+  .byok-backup-preview-item:last-child {
+    border-bottom: none;
   }
 
-  .byok-key-card-btn svg {
-    width: 14px;
-    height: 14px;
+  .byok-provider-order {
+    list-style: none;
+    margin: 0;
+    padding: 0;
   }
 
-  .byok-test-result {
+  .byok-provider-order-item {
     display: flex;
     align-items: center;
-    gap: 8px;
-    padding: 10px 14px;
-    font-size: 13px;
-    border-radius: var(--byok-radius-sm);
-    margin-top: 12px;
-  }
-
-  .byok-test-result.success {
-    background: var(--byok-success-bg);
-    color: var(--byok-success);
+    gap: 12px;
+    padding: 8px 0;
+    border-bottom: 1px solid var(--byok-border);
   }
 
-  .byok-test-result.error {
-    background: var(--byok-error-bg);
-    color: var(--byok-error);
+  .byok-provider-order-item:last-child {
+    border-bottom: none;
   }
 
-  .byok-test-result svg {
-    width: 16px;
-    height: 16px;
+  .byok-provider-order-item .byok-key-card-actions {
+    margin-left: auto;
   }
 
   .byok-empty-state {
@@ -1117,109 +4670,709 @@ const Icons = {
       <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
     </svg>
   ),
+  Lock: () => (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+      <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+    </svg>
+  ),
+  Download: () => (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+      <polyline points="7 10 12 15 17 10"/>
+      <line x1="12" y1="15" x2="12" y2="3"/>
+    </svg>
+  ),
+  Upload: () => (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+      <polyline points="17 8 12 3 7 8"/>
+      <line x1="12" y1="3" x2="12" y2="15"/>
+    </svg>
+  ),
   Plus: () => (
     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
       <line x1="12" y1="5" x2="12" y2="19"/>
       <line x1="5" y1="12" x2="19" y2="12"/>
     </svg>
+  ),
+  ChevronUp: () => (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <polyline points="18 15 12 9 6 15"/>
+    </svg>
+  ),
+  ChevronDown: () => (
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <polyline points="6 9 12 15 18 9"/>
+    </svg>
   )
 };
 
 // ============================================================================
-// SETUP DIALOG COMPONENT
+// SETUP DIALOG COMPONENT
+// ============================================================================
+
+export function APIKeySetupDialog() {
+  const { 
+    storage, 
+    showSetup, 
+    handleKeySaved, 
+    handleSetupSkipped,
+    providers,
+    activeProvider,
+    setActiveProvider,
+    activeKeyLabel,
+    setupRequest,
+    keyVerifier,
+    verifyOnSave,
+    updatePromptSettings,
+    theme
+  } = useBYOK();
+
+  const [inputValue, setInputValue] = useState('');
+  const [keyLabel, setKeyLabel] = useState('');
+  const [fieldValues, setFieldValues] = useState({});
+  const [connectionStatus, setConnectionStatus] = useState(null);
+  const [error, setError] = useState('');
+  const [errorReason, setErrorReason] = useState(null);
+  const [confirmProvider, setConfirmProvider] = useState(null);
+  const [rejectedVerification, setRejectedVerification] = useState(null);
+  const [savedUnverified, setSavedUnverified] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [showPassword, setShowPassword] = useState(false);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    if (showSetup && inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, [showSetup]);
+
+  useEffect(() => {
+    if (showSetup) {
+      setInputValue('');
+      setKeyLabel(activeKeyLabel);
+      setError('');
+      setErrorReason(null);
+      setConfirmProvider(null);
+      setRejectedVerification(null);
+      setSavedUnverified(null);
+      setShowPassword(false);
+    }
+  }, [showSetup, activeKeyLabel]);
+
+  const providerDefinition = getProvider(activeProvider) || getProvider('custom');
+
+  useEffect(() => {
+    if (showSetup) {
+      const fields = (getProvider(activeProvider) || getProvider('custom')).fields;
+      setFieldValues(Object.fromEntries(fields.map((field) => [field.name, field.defaultValue || ''])));
+      setConnectionStatus(null);
+      setConfirmProvider(null);
+    }
+  }, [showSetup, activeProvider]);
+
+  const readFields = () => Object.fromEntries(
+    providerDefinition.fields.map((field) => [field.name, (fieldValues[field.name] || '').trim()])
+  );
+
+  /**
+   * Provider the entered key belongs to, or 'custom' when it can't be told.
+   * A key entered together with provider-specific fields stays with that provider.
+   */
+  const getDetectedProvider = (fields) => {
+    const key = inputValue.trim();
+    const hasFields = Object.values(fields).some(Boolean);
+    return hasFields || !key ? 'custom' : storage.detectProvider(key);
+  };
+
+  const detectedProvider = showSetup ? getDetectedProvider(readFields()) : 'custom';
+  const mismatchProvider = detectedProvider !== 'custom' && detectedProvider !== activeProvider
+    ? detectedProvider
+    : null;
+
+  /**
+   * Error message for the first missing or malformed field, if any
+   */
+  const getFieldError = (fields) => {
+    for (const field of providerDefinition.fields) {
+      if (field.required && !fields[field.name]) {
+        return `Please enter the ${field.label}`;
+      }
+      if (field.type === 'url' && fields[field.name] && !/^https?:\/\/\S+$/.test(fields[field.name])) {
+        return `${field.label} must start with http:// or https://`;
+      }
+    }
+    return null;
+  };
+
+  const handleCheckConnection = async () => {
+    const fields = readFields();
+    const fieldError = getFieldError(fields);
+    if (fieldError) {
+      setConnectionStatus({ success: false, message: fieldError });
+      return;
+    }
+
+    const credential = { key: inputValue.trim(), ...fields };
+    setConnectionStatus({ checking: true });
+
+    try {
+      const result = await keyVerifier.verifyCredential(activeProvider, credential);
+      setConnectionStatus({ success: result.status === 'valid', message: getConnectionMessage(result, credential) });
+    } catch (error) {
+      setConnectionStatus({
+        success: false,
+        message: error instanceof VerificationThrottledError ? error.message : 'The connection could not be checked.'
+      });
+    }
+  };
+
+  /**
+   * Describe a check of a self-hosted server, which may need no key at all
+   */
+  const getConnectionMessage = ({ status, message, httpStatus, modelCount }, credential) => {
+    switch (status) {
+      case 'valid':
+        return modelCount === null
+          ? 'Connected.'
+          : `Connected. ${modelCount} ${modelCount === 1 ? 'model' : 'models'} available.`;
+      case 'invalid':
+      case 'revoked':
+        return credential.key ? message : 'The server requires an API key';
+      case 'unreachable':
+        return 'Could not reach the server. Check that it is running.';
+      case 'cors_blocked':
+        return 'The server does not accept requests from this site (CORS).';
+      case 'error':
+        return `The server responded with an error (${httpStatus})`;
+      default:
+        return message;
+    }
+  };
+
+  /**
+   * Save the key under the selected provider. A key that looks like it belongs
+   * to another provider is only saved once the user picks where it goes.
+   * With `verifyOnSave`, the key is checked first unless `acceptedVerification`
+   * (a check the user chose to save anyway) is given.
+   */
+  const handleSave = async (providerChoice, acceptedVerification) => {
+    setError('');
+    setErrorReason(null);
+
+    const fields = readFields();
+    const hasFields = Object.values(fields).some(Boolean);
+    const detected = getDetectedProvider(fields);
+    const mismatch = detected !== 'custom' && detected !== activeProvider ? detected : null;
+
+    // Check the format against the provider the key actually belongs to
+    const validation = storage.validateKey(inputValue, mismatch || activeProvider);
+    if (!validation.valid) {
+      setError(validation.hint);
+      setErrorReason(validation.reason);
+      return;
+    }
+
+    const fieldError = getFieldError(fields);
+    if (fieldError) {
+      setError(fieldError);
+      return;
+    }
+
+    if (mismatch && !providerChoice) {
+      setConfirmProvider(mismatch);
+      return;
+    }
+
+    const targetProvider = providerChoice || activeProvider;
+    const label = keyLabel.trim() || undefined;
+    const credential = hasFields ? { key: inputValue, ...fields } : inputValue;
+    setConfirmProvider(null);
+    setRejectedVerification(null);
+    setIsSaving(true);
+
+    try {
+      let verification = acceptedVerification || null;
+      if (verifyOnSave && !verification) {
+        setIsVerifying(true);
+        try {
+          verification = await keyVerifier.verifyCredential(targetProvider, credential, { waitForThrottle: true });
+        } finally {
+          setIsVerifying(false);
+        }
+
+        if (REJECTED_VERIFICATIONS.includes(verification.status)) {
+          setError(verification.message);
+          setErrorReason(verification.status);
+          setRejectedVerification({ provider: targetProvider, result: verification });
+          return;
+        }
+      }
+      
+      const success = await storage.storeKey(credential, targetProvider, label, {
+        verification: verification || undefined
+      });
+      
+      if (success) {
+        setInputValue('');
+        if (verification && INCONCLUSIVE_VERIFICATIONS.includes(verification.status)) {
+          // Saved anyway: tell the user before closing
+          setSavedUnverified({ provider: targetProvider, label, message: verification.message });
+        } else {
+          handleKeySaved({ provider: targetProvider, label });
+        }
+      } else {
+        setError('Failed to save key. Please try again.');
+      }
+    } catch (err) {
+      setError('An error occurred. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSkip = () => {
+    // The key is already saved; closing just acknowledges the warning
+    if (savedUnverified) {
+      handleUnverifiedDone();
+      return;
+    }
+    setInputValue('');
+    setError('');
+    handleSetupSkipped();
+  };
+
+  const handleNeverAsk = async () => {
+    await updatePromptSettings({ mode: 'never' });
+    handleSkip();
+  };
+
+  const handleUnverifiedDone = () => {
+    const { provider, label } = savedUnverified;
+    setSavedUnverified(null);
+    handleKeySaved({ provider, label });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !isSaving && !confirmProvider) {
+      handleSave();
+    } else if (e.key === 'Escape') {
+      if (confirmProvider) {
+        setConfirmProvider(null);
+      } else {
+        handleSkip();
+      }
+    }
+  };
+
+  if (!showSetup) return null;
+
+  return (
+    <div className="byok-root" data-theme={theme}>
+      <style>{styles}</style>
+      <div 
+        className="byok-overlay" 
+        role="dialog" 
+        aria-modal="true" 
+        aria-labelledby="byok-dialog-title"
+        onClick={(e) => e.target === e.currentTarget && handleSkip()}
+      >
+        <div className="byok-dialog">
+          <div className="byok-dialog-header">
+            <div className="byok-dialog-icon">
+              <Icons.Key />
+            </div>
+            <h2 id="byok-dialog-title" className="byok-dialog-title">
+              {setupRequest?.featureName ? `Enable ${setupRequest.featureName}` : 'Enable AI Features'}
+            </h2>
+            <p className="byok-dialog-description">
+              {setupRequest?.reason || (setupRequest?.providers.length > 1
+                ? `Enter an API key for ${formatProviderList(setupRequest.providers)} to unlock AI-powered features.`
+                : 'Enter your API key to unlock AI-powered features.')} Your key is encrypted
+              and stored securely on your device.
+            </p>
+          </div>
+
+          {savedUnverified ? (
+            <>
+              <div className="byok-dialog-body">
+                <div className="byok-notice" role="status">
+                  <Icons.AlertCircle />
+                  <span>
+                    Key saved but couldn't verify connection. {savedUnverified.message} You can test
+                    it again later in the AI settings.
+                  </span>
+                </div>
+              </div>
+              <div className="byok-dialog-footer">
+                <div className="byok-btn-group">
+                  <button
+                    className="byok-btn byok-btn-primary"
+                    onClick={handleUnverifiedDone}
+                    type="button"
+                  >
+                    <Icons.Check />
+                    Done
+                  </button>
+                </div>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="byok-dialog-body">
+                {providers.length > 1 && (
+                  <div className="byok-provider-selector" role="group" aria-label="Select AI provider">
+                    {providers.map((provider) => (
+                      <button
+                        key={provider}
+                        className={`byok-provider-btn ${activeProvider === provider ? 'active' : ''}`}
+                        onClick={() => setActiveProvider(provider)}
+                        type="button"
+                      >
+                        {getProviderLabel(provider)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <div className="byok-input-group">
+                  <label htmlFor="byok-api-key" className="byok-input-label">
+                    API Key
+                    {providerDefinition.keyOptional && <span className="byok-input-label-hint"> (optional)</span>}
+                  </label>
+                  <div className="byok-input-wrapper">
+                    <input
+                      ref={inputRef}
+                      id="byok-api-key"
+                      type={showPassword ? 'text' : 'password'}
+                      className={`byok-input ${error ? 'error' : ''}`}
+                      placeholder={providerDefinition.placeholder}
+                      value={inputValue}
+                      onChange={(e) => {
+                        setInputValue(e.target.value);
+                        setConfirmProvider(null);
+                        setRejectedVerification(null);
+                      }}
+                      onKeyDown={handleKeyDown}
+                      disabled={isSaving}
+                      autoComplete="off"
+                      spellCheck="false"
+                      aria-describedby={error ? 'byok-error' : mismatchProvider ? 'byok-mismatch' : undefined}
+                      aria-invalid={error ? 'true' : 'false'}
+                    />
+                    <button
+                      type="button"
+                      className="byok-input-toggle"
+                      onClick={() => setShowPassword(!showPassword)}
+                      aria-label={showPassword ? 'Hide API key' : 'Show API key'}
+                    >
+                      {showPassword ? <Icons.EyeOff /> : <Icons.Eye />}
+                    </button>
+                  </div>
+                  {error && (
+                    <div id="byok-error" className="byok-error-message" role="alert">
+                      <Icons.AlertCircle />
+                      <span>{error}</span>
+                      {errorReason === 'whitespace' && (
+                        <button
+                          type="button"
+                          className="byok-error-action"
+                          onClick={() => {
+                            setInputValue(inputValue.replace(/\s+/g, ''));
+                            setError('');
+                            setErrorReason(null);
+                          }}
+                        >
+                          Remove spaces
+                        </button>
+                      )}
+                      {rejectedVerification && (
+                        <button
+                          type="button"
+                          className="byok-error-action"
+                          onClick={() => handleSave(rejectedVerification.provider, rejectedVerification.result)}
+                          disabled={isSaving}
+                        >
+                          Save anyway
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {!error && mismatchProvider && !confirmProvider && (
+                    <div id="byok-mismatch" className="byok-notice" role="status">
+                      <Icons.AlertCircle />
+                      <span>
+                        This looks like {withArticle(getProviderLabel(mismatchProvider))} key,
+                        not {withArticle(getProviderLabel(activeProvider))} key.
+                      </span>
+                      {providers.includes(mismatchProvider) && (
+                        <button
+                          type="button"
+                          className="byok-error-action"
+                          onClick={() => setActiveProvider(mismatchProvider)}
+                        >
+                          Switch to {getProviderLabel(mismatchProvider)}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                {providerDefinition.fields.map((field) => (
+                  <div key={field.name} className="byok-input-group">
+                    <label htmlFor={`byok-field-${field.name}`} className="byok-input-label">
+                      {field.label}
+                      {!field.required && <span className="byok-input-label-hint"> (optional)</span>}
+                    </label>
+                    <input
+                      id={`byok-field-${field.name}`}
+                      type={field.secret ? 'password' : field.type || 'text'}
+                      className="byok-input"
+                      placeholder={field.placeholder}
+                      value={fieldValues[field.name] ?? ''}
+                      onChange={(e) => {
+                        setFieldValues((prev) => ({ ...prev, [field.name]: e.target.value }));
+                        setConnectionStatus(null);
+                        setRejectedVerification(null);
+                      }}
+                      onKeyDown={handleKeyDown}
+                      disabled={isSaving}
+                      autoComplete="off"
+                      spellCheck="false"
+                    />
+                  </div>
+                ))}
+
+                {providerDefinition.keyOptional && providerDefinition.test && (
+                  <div className="byok-input-group">
+                    <button
+                      type="button"
+                      className="byok-key-card-btn"
+                      onClick={handleCheckConnection}
+                      disabled={isSaving || connectionStatus?.checking}
+                      style={{ justifyContent: 'center' }}
+                    >
+                      {connectionStatus?.checking ? (
+                        <>
+                          <span className="byok-spinner" style={{ width: 14, height: 14 }} />
+                          Checking...
+                        </>
+                      ) : (
+                        <>
+                          <Icons.RefreshCw />
+                          Check Connection
+                        </>
+                      )}
+                    </button>
+                    {connectionStatus && !connectionStatus.checking && (
+                      <div className={`byok-test-result ${connectionStatus.success ? 'success' : 'error'}`} role="status">
+                        {connectionStatus.success ? <Icons.Check /> : <Icons.AlertCircle />}
+                        <span>{connectionStatus.message}</span>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <div className="byok-input-group">
+                  <label htmlFor="byok-key-label" className="byok-input-label">
+                    Key Label <span className="byok-input-label-hint">(optional)</span>
+                  </label>
+                  <input
+                    id="byok-key-label"
+                    type="text"
+                    className="byok-input"
+                    placeholder="e.g. Work, Personal"
+                    value={keyLabel}
+                    onChange={(e) => setKeyLabel(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    disabled={isSaving}
+                    autoComplete="off"
+                    maxLength={40}
+                  />
+                </div>
+              </div>
+
+              <div className="byok-dialog-footer">
+                {confirmProvider ? (
+                  <div className="byok-provider-confirm" role="alertdialog" aria-labelledby="byok-confirm-message">
+                    <p id="byok-confirm-message" className="byok-provider-confirm-message">
+                      This looks like {withArticle(getProviderLabel(confirmProvider))} key — save it
+                      as {getProviderLabel(confirmProvider)} or keep it on {getProviderLabel(activeProvider)}?
+                    </p>
+                    <div className="byok-btn-group">
+                      <button
+                        className="byok-btn byok-btn-primary"
+                        onClick={() => handleSave(confirmProvider)}
+                        disabled={isSaving}
+                        type="button"
+                      >
+                        Save as {getProviderLabel(confirmProvider)}
+                      </button>
+                      <button
+                        className="byok-btn byok-btn-secondary"
+                        onClick={() => handleSave(activeProvider)}
+                        disabled={isSaving}
+                        type="button"
+                      >
+                        Keep on {getProviderLabel(activeProvider)}
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="byok-btn-group">
+                    <button
+                      className="byok-btn byok-btn-primary"
+                      onClick={() => handleSave()}
+                      disabled={isSaving}
+                      type="button"
+                    >
+                      {isSaving ? (
+                        <>
+                          <span className="byok-spinner" />
+                          {isVerifying ? 'Verifying...' : 'Saving...'}
+                        </>
+                      ) : (
+                        <>
+                          <Icons.Check />
+                          Save Key
+                        </>
+                      )}
+                    </button>
+                    <button
+                      className="byok-btn byok-btn-secondary"
+                      onClick={handleSkip}
+                      disabled={isSaving}
+                      type="button"
+                    >
+                      Skip
+                    </button>
+                  </div>
+                )}
+                {/* Offered when a feature opened the dialog, not the user */}
+                {setupRequest && !setupRequest.explicit && !confirmProvider && (
+                  <button
+                    className="byok-text-btn"
+                    onClick={handleNeverAsk}
+                    disabled={isSaving}
+                    type="button"
+                  >
+                    Don't ask me again
+                  </button>
+                )}
+                <a
+                  href={providerDefinition.helpUrl || getProvider('custom').helpUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="byok-help-link"
+                >
+                  <Icons.ExternalLink />
+                  Where do I get an API key?
+                </a>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// UNLOCK DIALOG COMPONENT
 // ============================================================================
 
-export function APIKeySetupDialog() {
-  const { 
-    storage, 
-    showSetup, 
-    handleKeySaved, 
-    handleSetupSkipped,
-    providers,
-    activeProvider,
-    setActiveProvider,
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export function VaultUnlockDialog() {
+  const {
+    storage,
+    showUnlock,
+    unlock,
+    handleUnlocked,
+    handleUnlockCancelled,
     theme
   } = useBYOK();
 
-  const [inputValue, setInputValue] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
   const [error, setError] = useState('');
-  const [isSaving, setIsSaving] = useState(false);
+  const [isUnlocking, setIsUnlocking] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const inputRef = useRef(null);
 
   useEffect(() => {
-    if (showSetup && inputRef.current) {
-      inputRef.current.focus();
+    if (showUnlock) {
+      setPassphrase('');
+      setConfirmation('');
+      setError('');
+      setShowPassword(false);
+      storage.hasPassphraseVault().then((exists) => setIsCreating(!exists));
     }
-  }, [showSetup]);
+  }, [showUnlock, storage]);
 
   useEffect(() => {
-    if (showSetup) {
-      setInputValue('');
-      setError('');
-      setShowPassword(false);
+    if (showUnlock && inputRef.current) {
+      inputRef.current.focus();
     }
-  }, [showSetup]);
+  }, [showUnlock]);
 
-  const handleSave = async () => {
+  const handleUnlock = async () => {
     setError('');
 
-    if (!inputValue.trim()) {
-      setError('Please enter an API key');
+    if (!passphrase) {
+      setError('Please enter your passphrase');
       return;
     }
 
-    if (!storage.validateKeyFormat(inputValue)) {
-      setError('Invalid API key format. Keys typically start with "sk-" or "sk-ant-"');
-      return;
+    if (isCreating) {
+      if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        return;
+      }
+      if (passphrase !== confirmation) {
+        setError('Passphrases do not match');
+        return;
+      }
     }
 
-    setIsSaving(true);
+    setIsUnlocking(true);
 
     try {
-      const detectedProvider = storage.detectProvider(inputValue);
-      const targetProvider = detectedProvider !== 'custom' ? detectedProvider : activeProvider;
-      
-      const success = await storage.storeKey(inputValue, targetProvider);
-      
+      const success = await unlock(passphrase);
+
       if (success) {
-        setInputValue('');
-        handleKeySaved();
+        setPassphrase('');
+        setConfirmation('');
+        handleUnlocked();
       } else {
-        setError('Failed to save key. Please try again.');
+        setError('Incorrect passphrase. Please try again.');
       }
     } catch (err) {
       setError('An error occurred. Please try again.');
     } finally {
-      setIsSaving(false);
+      setIsUnlocking(false);
     }
   };
 
-  const handleSkip = () => {
-    setInputValue('');
+  const handleCancel = () => {
+    setPassphrase('');
+    setConfirmation('');
     setError('');
-    handleSetupSkipped();
+    handleUnlockCancelled();
   };
 
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter' && !isSaving) {
-      handleSave();
+    if (e.key === 'Enter' && !isUnlocking) {
+      handleUnlock();
     } else if (e.key === 'Escape') {
-      handleSkip();
+      handleCancel();
     }
   };
 
-  const getProviderHelpUrl = (provider) => {
-    const urls = {
-      openai: 'https://platform.openai.com/api-keys',
-      anthropic: 'https://console.anthropic.com/settings/keys',
-      cohere: 'https://dashboard.cohere.com/api-keys',
-      custom: 'https://platform.openai.com/api-keys'
-    };
-    return urls[provider] || urls.custom;
-  };
-
-  if (!showSetup) return null;
+  if (!showUnlock) return null;
 
   return (
     <div className="byok-root" data-theme={theme}>
@@ -1228,117 +5381,675 @@ export function APIKeySetupDialog() {
         className="byok-overlay" 
         role="dialog" 
         aria-modal="true" 
-        aria-labelledby="byok-dialog-title"
-        onClick={(e) => e.target === e.currentTarget && handleSkip()}
+        aria-labelledby="byok-unlock-title"
+        onClick={(e) => e.target === e.currentTarget && handleCancel()}
       >
         <div className="byok-dialog">
           <div className="byok-dialog-header">
             <div className="byok-dialog-icon">
-              <Icons.Key />
+              <Icons.Lock />
             </div>
-            <h2 id="byok-dialog-title" className="byok-dialog-title">
-              Enable AI Features
+            <h2 id="byok-unlock-title" className="byok-dialog-title">
+              {isCreating ? 'Create a Passphrase' : 'Unlock Your Keys'}
             </h2>
             <p className="byok-dialog-description">
-              Enter your API key to unlock AI-powered features. Your key is encrypted and stored securely on your device.
+              {isCreating
+                ? 'Choose a passphrase to protect your API keys. It is never stored, so keep it somewhere safe.'
+                : 'Your API keys are locked. Enter your passphrase to use AI features.'}
             </p>
           </div>
 
           <div className="byok-dialog-body">
-            {providers.length > 1 && (
-              <div className="byok-provider-selector" role="group" aria-label="Select AI provider">
-                {providers.map((provider) => (
-                  <button
-                    key={provider}
-                    className={`byok-provider-btn ${activeProvider === provider ? 'active' : ''}`}
-                    onClick={() => setActiveProvider(provider)}
-                    type="button"
-                  >
-                    {provider.charAt(0).toUpperCase() + provider.slice(1)}
-                  </button>
-                ))}
-              </div>
-            )}
-
             <div className="byok-input-group">
-              <label htmlFor="byok-api-key" className="byok-input-label">
-                API Key
+              <label htmlFor="byok-passphrase" className="byok-input-label">
+                Passphrase
               </label>
               <div className="byok-input-wrapper">
                 <input
                   ref={inputRef}
-                  id="byok-api-key"
+                  id="byok-passphrase"
                   type={showPassword ? 'text' : 'password'}
                   className={`byok-input ${error ? 'error' : ''}`}
-                  placeholder="sk-..."
-                  value={inputValue}
-                  onChange={(e) => setInputValue(e.target.value)}
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
                   onKeyDown={handleKeyDown}
-                  disabled={isSaving}
-                  autoComplete="off"
+                  disabled={isUnlocking}
+                  autoComplete={isCreating ? 'new-password' : 'current-password'}
                   spellCheck="false"
-                  aria-describedby={error ? 'byok-error' : undefined}
+                  aria-describedby={error ? 'byok-unlock-error' : undefined}
                   aria-invalid={error ? 'true' : 'false'}
                 />
                 <button
                   type="button"
                   className="byok-input-toggle"
                   onClick={() => setShowPassword(!showPassword)}
-                  aria-label={showPassword ? 'Hide API key' : 'Show API key'}
+                  aria-label={showPassword ? 'Hide passphrase' : 'Show passphrase'}
                 >
                   {showPassword ? <Icons.EyeOff /> : <Icons.Eye />}
                 </button>
               </div>
-              {error && (
-                <div id="byok-error" className="byok-error-message" role="alert">
-                  <Icons.AlertCircle />
-                  <span>{error}</span>
+            </div>
+
+            {isCreating && (
+              <div className="byok-input-group">
+                <label htmlFor="byok-passphrase-confirm" className="byok-input-label">
+                  Confirm Passphrase
+                </label>
+                <div className="byok-input-wrapper">
+                  <input
+                    id="byok-passphrase-confirm"
+                    type={showPassword ? 'text' : 'password'}
+                    className={`byok-input ${error ? 'error' : ''}`}
+                    value={confirmation}
+                    onChange={(e) => setConfirmation(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    disabled={isUnlocking}
+                    autoComplete="new-password"
+                    spellCheck="false"
+                  />
                 </div>
-              )}
+              </div>
+            )}
+
+            {error && (
+              <div id="byok-unlock-error" className="byok-error-message" role="alert">
+                <Icons.AlertCircle />
+                <span>{error}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="byok-dialog-footer">
+            <div className="byok-btn-group">
+              <button
+                className="byok-btn byok-btn-primary"
+                onClick={handleUnlock}
+                disabled={isUnlocking}
+                type="button"
+              >
+                {isUnlocking ? (
+                  <>
+                    <span className="byok-spinner" />
+                    Unlocking...
+                  </>
+                ) : (
+                  <>
+                    <Icons.Lock />
+                    {isCreating ? 'Set Passphrase' : 'Unlock'}
+                  </>
+                )}
+              </button>
+              <button
+                className="byok-btn byok-btn-secondary"
+                onClick={handleCancel}
+                disabled={isUnlocking}
+                type="button"
+              >
+                Cancel
+              </button>
             </div>
           </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// KEY BACKUP SECTION
+// ============================================================================
+
+const BACKUP_STATUS_LABELS = {
+  new: 'New',
+  conflict: 'Different key stored',
+  unchanged: 'Already stored'
+};
+
+function KeyBackupSection({ canExport }) {
+  const { storage, checkKeys } = useBYOK();
+
+  const [view, setView] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [overwrite, setOverwrite] = useState([]);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const reset = () => {
+    setView(null);
+    setPassphrase('');
+    setConfirmation('');
+    setImportFile(null);
+    setPreview(null);
+    setImportMode('merge');
+    setOverwrite([]);
+    setError('');
+  };
+
+  const handleExport = async () => {
+    setError('');
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setError('Passphrases do not match');
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const contents = await storage.exportBackup(passphrase);
+      const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${storage.appName}-api-keys-backup.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      reset();
+      setResult({ success: true, message: 'Backup downloaded. Keep the file and passphrase safe.' });
+    } catch (err) {
+      setError(err.message || 'Export failed. Please try again.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    reset();
+    setResult(null);
+    setImportFile(file);
+    setView('import');
+  };
+
+  const handlePreview = async () => {
+    setError('');
+    setIsBusy(true);
+    try {
+      const backupPreview = await storage.previewBackup(importFile, passphrase);
+      setPreview(backupPreview);
+      setOverwrite([]);
+    } catch (err) {
+      setError(err.message || 'Could not read the backup file.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const toggleOverwrite = (provider) => {
+    setOverwrite((prev) => (
+      prev.includes(provider) ? prev.filter((p) => p !== provider) : [...prev, provider]
+    ));
+  };
+
+  const handleImport = async () => {
+    setError('');
+    setIsBusy(true);
+    try {
+      const { imported } = await storage.importBackup(importFile, passphrase, { mode: importMode, overwrite });
+      await checkKeys();
+      reset();
+      setResult({
+        success: true,
+        message: `Imported ${imported.length} ${imported.length === 1 ? 'key' : 'keys'}.`
+      });
+    } catch (err) {
+      setError(err.message || 'Import failed. Please try again.');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="byok-settings-section">
+      <div className="byok-settings-section-header">
+        <span className="byok-settings-section-title">Backup</span>
+        <div className="byok-key-card-actions">
+          <button
+            className="byok-key-card-btn"
+            onClick={() => { reset(); setResult(null); setView('export'); }}
+            disabled={!canExport || isBusy}
+          >
+            <Icons.Download />
+            Export
+          </button>
+          <button
+            className="byok-key-card-btn"
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            disabled={isBusy}
+          >
+            <Icons.Upload />
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileSelected}
+            className="byok-sr-only"
+            tabIndex={-1}
+            aria-hidden="true"
+          />
+        </div>
+      </div>
+
+      {view === 'export' && (
+        <div className="byok-key-card">
+          <p className="byok-key-card-description">
+            Your keys are encrypted with this passphrase. You will need it to import the backup.
+          </p>
+          <div className="byok-input-group">
+            <label htmlFor="byok-backup-passphrase" className="byok-input-label">
+              Backup Passphrase
+            </label>
+            <input
+              id="byok-backup-passphrase"
+              type="password"
+              className={`byok-input ${error ? 'error' : ''}`}
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              disabled={isBusy}
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="byok-input-group">
+            <label htmlFor="byok-backup-confirm" className="byok-input-label">
+              Confirm Passphrase
+            </label>
+            <input
+              id="byok-backup-confirm"
+              type="password"
+              className={`byok-input ${error ? 'error' : ''}`}
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && !isBusy && handleExport()}
+              disabled={isBusy}
+              autoComplete="new-password"
+            />
+          </div>
+          <div className="byok-key-card-actions">
+            <button className="byok-key-card-btn" onClick={handleExport} disabled={isBusy}>
+              <Icons.Download />
+              Download Backup
+            </button>
+            <button className="byok-key-card-btn" onClick={reset} disabled={isBusy}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {view === 'import' && (
+        <div className="byok-key-card">
+          <p className="byok-key-card-description">{importFile && importFile.name}</p>
+
+          {!preview ? (
+            <>
+              <div className="byok-input-group">
+                <label htmlFor="byok-import-passphrase" className="byok-input-label">
+                  Backup Passphrase
+                </label>
+                <input
+                  id="byok-import-passphrase"
+                  type="password"
+                  className={`byok-input ${error ? 'error' : ''}`}
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && !isBusy && handlePreview()}
+                  disabled={isBusy}
+                  autoComplete="off"
+                />
+              </div>
+              <div className="byok-key-card-actions">
+                <button className="byok-key-card-btn" onClick={handlePreview} disabled={isBusy || !passphrase}>
+                  <Icons.Check />
+                  Continue
+                </button>
+                <button className="byok-key-card-btn" onClick={reset} disabled={isBusy}>
+                  Cancel
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="byok-radio-group" role="radiogroup" aria-label="Import mode">
+                <label className="byok-radio">
+                  <input
+                    type="radio"
+                    name="byok-import-mode"
+                    checked={importMode === 'merge'}
+                    onChange={() => setImportMode('merge')}
+                  />
+                  Merge with current keys
+                </label>
+                <label className="byok-radio">
+                  <input
+                    type="radio"
+                    name="byok-import-mode"
+                    checked={importMode === 'replace'}
+                    onChange={() => setImportMode('replace')}
+                  />
+                  Replace all current keys
+                </label>
+              </div>
+
+              <ul className="byok-backup-preview">
+                {preview.providers.map(({ provider, status }) => (
+                  <li key={provider} className="byok-backup-preview-item">
+                    <span className="byok-key-card-provider-name">{getProviderLabel(provider)}</span>
+                    {importMode === 'merge' && status === 'conflict' ? (
+                      <label className="byok-radio">
+                        <input
+                          type="checkbox"
+                          checked={overwrite.includes(provider)}
+                          onChange={() => toggleOverwrite(provider)}
+                        />
+                        Use key from backup
+                      </label>
+                    ) : (
+                      <span className={`byok-key-card-status ${status === 'new' ? 'configured' : 'not-configured'}`}>
+                        {BACKUP_STATUS_LABELS[status]}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+
+              <div className="byok-key-card-actions">
+                <button className="byok-key-card-btn" onClick={handleImport} disabled={isBusy}>
+                  <Icons.Upload />
+                  Import
+                </button>
+                <button className="byok-key-card-btn" onClick={reset} disabled={isBusy}>
+                  Cancel
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="byok-error-message" role="alert">
+          <Icons.AlertCircle />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {result && (
+        <div className={`byok-test-result ${result.success ? 'success' : 'error'}`} role="status">
+          {result.success ? <Icons.Check /> : <Icons.AlertCircle />}
+          <span>{result.message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================================================
+// ARCHIVED VAULT SECTION
+// ============================================================================
+
+function ArchivedVaultSection() {
+  const { storage, hasKey, checkKeys } = useBYOK();
+
+  const [archives, setArchives] = useState([]);
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [confirmDiscard, setConfirmDiscard] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+
+  useEffect(() => {
+    storage.getArchivedVaults().then(setArchives, () => setArchives([]));
+  }, [storage, hasKey]);
+
+  if (archives.length === 0) return null;
+
+  const handleRecover = async () => {
+    setError('');
+    setIsBusy(true);
+    try {
+      if (await storage.recoverVault(secret)) {
+        setSecret('');
+        await checkKeys();
+      } else {
+        setError('That password did not unlock the set-aside keys.');
+      }
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    setIsBusy(true);
+    try {
+      await storage.discardArchivedVaults();
+      setConfirmDiscard(false);
+      setArchives([]);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const { archivedAt } = archives[archives.length - 1];
+  const deviceKeyCount = archives.filter((archive) => archive.requiresDeviceKey).length;
+  const recoverable = deviceKeyCount < archives.length;
+
+  return (
+    <div className="byok-settings-section">
+      <div className="byok-settings-section-header">
+        <span className="byok-settings-section-title">Set-aside keys</span>
+      </div>
+      <p className="byok-key-card-description">
+        {archives.length === 1 ? 'Keys that could not be decrypted were' : `${archives.length} sets of keys that could not be decrypted were`} set
+        aside{archivedAt ? ` on ${new Date(archivedAt).toLocaleDateString()}` : ''}.
+        {recoverable && (
+          <>
+            {' '}Enter the password they were encrypted with to restore them. They are added alongside your current
+            keys; a restored key whose name is already in use gets {'"(restored)"'} after its name.
+          </>
+        )}
+      </p>
+      {deviceKeyCount > 0 && (
+        <p className="byok-key-card-description">
+          {deviceKeyCount === archives.length ? 'They were' : `${deviceKeyCount} of them were`} locked to this
+          browser's device key, which is no longer available (site data was cleared, or this is another browser
+          or profile). No password can restore {deviceKeyCount === 1 ? 'that set' : 'those sets'}: add the keys
+          again and discard the set-aside copy.
+        </p>
+      )}
+      {recoverable && (
+        <div className="byok-input-group">
+          <label htmlFor="byok-archive-secret" className="byok-input-label">
+            Previous password
+          </label>
+          <input
+            id="byok-archive-secret"
+            type="password"
+            className={`byok-input ${error ? 'error' : ''}`}
+            value={secret}
+            onChange={(e) => setSecret(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && secret && !isBusy && handleRecover()}
+            disabled={isBusy}
+            autoComplete="off"
+            spellCheck="false"
+            aria-describedby={error ? 'byok-archive-error' : undefined}
+            aria-invalid={error ? 'true' : 'false'}
+          />
+          {error && (
+            <div id="byok-archive-error" className="byok-error-message" role="alert">
+              <Icons.AlertCircle />
+              <span>{error}</span>
+            </div>
+          )}
+        </div>
+      )}
+      <div className="byok-key-card-actions">
+        {recoverable && (
+          <button className="byok-key-card-btn" onClick={handleRecover} disabled={isBusy || !secret}>
+            <Icons.Key />
+            Recover
+          </button>
+        )}
+        {confirmDiscard ? (
+          <>
+            <button className="byok-key-card-btn danger" onClick={handleDiscard} disabled={isBusy}>
+              Yes, Discard
+            </button>
+            <button className="byok-key-card-btn" onClick={() => setConfirmDiscard(false)} disabled={isBusy}>
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button className="byok-key-card-btn danger" onClick={() => setConfirmDiscard(true)} disabled={isBusy}>
+            <Icons.Trash />
+            Discard
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ============================================================================
+// PROVIDER ORDER SECTION
+// ============================================================================
 
-          <div className="byok-dialog-footer">
-            <div className="byok-btn-group">
+function ProviderOrderSection() {
+  const { providers, hasKey, providerOrder, updateProviderOrder } = useBYOK();
+
+  if (providers.length < 2) return null;
+
+  const ordered = sortByPreference(providers, providerOrder);
+
+  const handleMove = (index, offset) => {
+    const next = [...ordered];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    updateProviderOrder(next);
+  };
+
+  return (
+    <div className="byok-settings-section">
+      <div className="byok-settings-section-header">
+        <span className="byok-settings-section-title">Preferred providers</span>
+      </div>
+      <p className="byok-key-card-description">
+        Features that work with several providers use the first one here that has a key.
+      </p>
+      <ol className="byok-provider-order">
+        {ordered.map((provider, index) => (
+          <li key={provider} className="byok-provider-order-item">
+            <span className="byok-key-card-provider-name">{getProviderLabel(provider)}</span>
+            {!hasKey[provider] && (
+              <span className="byok-key-card-status not-configured">No key</span>
+            )}
+            <div className="byok-key-card-actions">
               <button
-                className="byok-btn byok-btn-primary"
-                onClick={handleSave}
-                disabled={isSaving}
-                type="button"
+                className="byok-key-card-btn"
+                onClick={() => handleMove(index, -1)}
+                disabled={index === 0}
+                aria-label={`Move ${getProviderLabel(provider)} up`}
               >
-                {isSaving ? (
-                  <>
-                    <span className="byok-spinner" />
-                    Saving...
-                  </>
-                ) : (
-                  <>
-                    <Icons.Check />
-                    Save Key
-                  </>
-                )}
+                <Icons.ChevronUp />
               </button>
               <button
-                className="byok-btn byok-btn-secondary"
-                onClick={handleSkip}
-                disabled={isSaving}
-                type="button"
+                className="byok-key-card-btn"
+                onClick={() => handleMove(index, 1)}
+                disabled={index === ordered.length - 1}
+                aria-label={`Move ${getProviderLabel(provider)} down`}
               >
-                Skip
+                <Icons.ChevronDown />
               </button>
             </div>
-            <a
-              href={getProviderHelpUrl(activeProvider)}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="byok-help-link"
-            >
-              <Icons.ExternalLink />
-              Where do I get an API key?
-            </a>
-          </div>
-        </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// ============================================================================
+// SETUP PROMPTS SECTION
+// ============================================================================
+
+const PROMPT_MODE_LABELS = {
+  always: 'Every time a feature needs one',
+  session: 'Once per visit',
+  snooze: 'Once, then not again for',
+  never: "Never – I'll add keys here"
+};
+
+function PromptSettingsSection() {
+  const { promptSettings, updatePromptSettings } = useBYOK();
+  const [snoozeDays, setSnoozeDays] = useState('');
+
+  useEffect(() => {
+    if (promptSettings) setSnoozeDays(String(promptSettings.snoozeDays));
+  }, [promptSettings]);
+
+  if (!promptSettings) return null;
+
+  const { mode, snoozedUntil } = promptSettings;
+  const isSnoozed = mode === 'snooze' && snoozedUntil && Date.parse(snoozedUntil) > Date.now();
+
+  const handleSnoozeDaysCommit = () => {
+    const days = Number(snoozeDays);
+    if (Number.isInteger(days) && days > 0) {
+      updatePromptSettings({ snoozeDays: days });
+    } else {
+      setSnoozeDays(String(promptSettings.snoozeDays));
+    }
+  };
+
+  return (
+    <div className="byok-settings-section">
+      <div className="byok-settings-section-header">
+        <span className="byok-settings-section-title">Ask for missing keys</span>
+      </div>
+      <div className="byok-radio-group" role="radiogroup" aria-label="Ask for missing keys">
+        {PROMPT_MODES.map((option) => (
+          <label key={option} className="byok-radio">
+            <input
+              type="radio"
+              name="byok-prompt-mode"
+              checked={mode === option}
+              onChange={() => updatePromptSettings({ mode: option })}
+            />
+            {PROMPT_MODE_LABELS[option]}
+            {option === 'snooze' && (
+              <>
+                <input
+                  type="number"
+                  className="byok-inline-number"
+                  min={1}
+                  value={snoozeDays}
+                  onChange={(e) => setSnoozeDays(e.target.value)}
+                  onBlur={handleSnoozeDaysCommit}
+                  onKeyDown={(e) => e.key === 'Enter' && handleSnoozeDaysCommit()}
+                  aria-label="Days between prompts"
+                />
+                days
+              </>
+            )}
+          </label>
+        ))}
       </div>
+      {isSnoozed && (
+        <p className="byok-key-card-description">
+          Next prompt after {new Date(snoozedUntil).toLocaleDateString()}.
+        </p>
+      )}
     </div>
   );
 }
@@ -1347,34 +6058,132 @@ export function APIKeySetupDialog() {
 // SETTINGS PANEL COMPONENT
 // ============================================================================
 
+const STALE_KEY_DAYS = 30;
+
+/**
+ * A key counts as stale when it has not been used (or, if never used, not
+ * been stored) for STALE_KEY_DAYS
+ */
+function isStaleKey(details) {
+  const since = details.lastUsedAt || details.createdAt;
+  return Boolean(since) && Date.now() - Date.parse(since) > STALE_KEY_DAYS * DAY_MS;
+}
+
+// How a verification status is shown: only a verdict on the key itself is an error
+const VERIFICATION_TONES = {
+  valid: 'success',
+  untested: 'success',
+  invalid: 'error',
+  revoked: 'error',
+  insufficient_quota: 'error',
+  rate_limited: 'warning',
+  unreachable: 'warning',
+  cors_blocked: 'warning',
+  error: 'warning'
+};
+
 export function AISettingsPanel({ onClose }) {
   const { 
     storage, 
     hasKey, 
+    keyLabels,
+    rotationDue,
+    unverifiedKeys,
+    keyVerifier,
     providers, 
     checkKeys, 
     setShowSetup,
+    setActiveProvider,
+    setActiveKeyLabel,
+    locked,
+    lockMode,
+    lock,
+    setShowUnlock,
+    vaultUnreadable,
     theme
   } = useBYOK();
 
   const [maskedKeys, setMaskedKeys] = useState({});
+  const [keyDetails, setKeyDetails] = useState({});
+  const [credentialFields, setCredentialFields] = useState({});
   const [testResults, setTestResults] = useState({});
   const [testing, setTesting] = useState({});
   const [showConfirmDelete, setShowConfirmDelete] = useState(null);
+  const [selectedLabels, setSelectedLabels] = useState({});
+  const [renaming, setRenaming] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [renameError, setRenameError] = useState('');
+  const [rotating, setRotating] = useState(null);
+  const [rotateValue, setRotateValue] = useState('');
+  const [rotateError, setRotateError] = useState('');
+  const [isRotating, setIsRotating] = useState(false);
+  const [recoverySecret, setRecoverySecret] = useState('');
+  const [recoveryError, setRecoveryError] = useState('');
+  const [confirmRecoveryAction, setConfirmRecoveryAction] = useState(null);
+  const [isRecovering, setIsRecovering] = useState(false);
+  const [deviceKeyLost, setDeviceKeyLost] = useState(false);
 
   useEffect(() => {
     loadMaskedKeys();
-  }, [hasKey]);
+  }, [hasKey, keyLabels]);
+
+  useEffect(() => {
+    // A vault locked to a device key that is gone cannot be recovered with a password
+    if (vaultUnreadable) {
+      storage.vaultRequiresDeviceKey().then(setDeviceKeyLost, () => setDeviceKeyLost(false));
+    } else {
+      setDeviceKeyLost(false);
+    }
+  }, [storage, vaultUnreadable]);
 
   const loadMaskedKeys = async () => {
     const masked = {};
+    const details = {};
+    const fields = {};
     for (const provider of providers) {
-      if (hasKey[provider]) {
-        const key = await storage.retrieveKey(provider);
-        masked[provider] = storage.maskKey(key);
+      masked[provider] = {};
+      details[provider] = {};
+      fields[provider] = {};
+      for (const { label } of keyLabels[provider] || []) {
+        const credential = await storage.retrieveKey(provider, label, { recordUse: false, credential: true });
+        // Empty for keyless credentials
+        masked[provider][label] = credential?.key ? storage.maskKey(credential.key) : '';
+        details[provider][label] = await storage.getKeyMetadata(provider, label);
+        fields[provider][label] = (getProvider(provider)?.fields || [])
+          .filter((field) => credential?.[field.name])
+          .map((field) => ({
+            name: field.name,
+            label: field.label,
+            value: field.secret ? storage.maskKey(credential[field.name]) : credential[field.name]
+          }));
       }
     }
     setMaskedKeys(masked);
+    setKeyDetails(details);
+    setCredentialFields(fields);
+  };
+
+  /**
+   * Label currently picked on a provider's card, falling back to its default
+   */
+  const getSelectedLabel = (provider) => {
+    const labels = keyLabels[provider] || [];
+    const selected = labels.find((entry) => entry.label === selectedLabels[provider]);
+    return (selected || labels.find((entry) => entry.isDefault) || labels[0] || {}).label;
+  };
+
+  const handleSelectLabel = (provider, label) => {
+    setSelectedLabels((prev) => ({ ...prev, [provider]: label }));
+    setTestResults((prev) => ({ ...prev, [provider]: null }));
+    setShowConfirmDelete(null);
+    setRenaming(null);
+    setRotating(null);
+  };
+
+  const openSetup = (provider, label = '') => {
+    if (provider) setActiveProvider(provider);
+    setActiveKeyLabel(label);
+    setShowSetup(true);
   };
 
   const handleTestConnection = async (provider) => {
@@ -1382,62 +6191,20 @@ export function AISettingsPanel({ onClose }) {
     setTestResults((prev) => ({ ...prev, [provider]: null }));
 
     try {
-      const key = await storage.retrieveKey(provider);
-      
-      // Test endpoint varies by provider
-      const testEndpoints = {
-        openai: 'https://api.openai.com/v1/models',
-        anthropic: 'https://api.anthropic.com/v1/messages',
-        cohere: 'https://api.cohere.ai/v1/check-api-key'
-      };
-
-      const endpoint = testEndpoints[provider];
-      
-      if (!endpoint) {
-        setTestResults((prev) => ({ 
-          ...prev, 
-          [provider]: { success: true, message: 'Key format validated' } 
-        }));
-        return;
-      }
-
-      const headers = { 'Authorization': `Bearer ${key}` };
-      if (provider === 'anthropic') {
-        headers['x-api-key'] = key;
-        headers['anthropic-version'] = '2023-06-01';
-      }
-
-      const response = await fetch(endpoint, {
-        method: provider === 'anthropic' ? 'POST' : 'GET',
-        headers,
-        ...(provider === 'anthropic' && {
-          body: JSON.stringify({
-            model: 'claude-3-haiku-20240307',
-            max_tokens: 1,
-            messages: [{ role: 'user', content: 'test' }]
-          })
-        })
-      });
-
-      if (response.ok || response.status === 401) {
-        // 401 still means the endpoint was reached, key might be invalid
-        setTestResults((prev) => ({
-          ...prev,
-          [provider]: response.ok 
-            ? { success: true, message: 'Connection successful!' }
-            : { success: false, message: 'Invalid API key' }
-        }));
-      } else {
-        setTestResults((prev) => ({
-          ...prev,
-          [provider]: { success: false, message: `Error: ${response.status}` }
-        }));
-      }
+      const result = await keyVerifier.verifyKey(provider, getSelectedLabel(provider));
+      setTestResults((prev) => ({
+        ...prev,
+        [provider]: { tone: VERIFICATION_TONES[result.status], message: result.message }
+      }));
+      // Refreshes the unverified state and the key details
+      await checkKeys();
     } catch (error) {
-      // CORS errors are expected for browser-based tests
       setTestResults((prev) => ({
         ...prev,
-        [provider]: { success: true, message: 'Key stored (network test unavailable in browser)' }
+        [provider]: {
+          tone: 'warning',
+          message: error instanceof VerificationThrottledError ? error.message : 'The key could not be tested.'
+        }
       }));
     } finally {
       setTesting((prev) => ({ ...prev, [provider]: false }));
@@ -1445,16 +6212,127 @@ export function AISettingsPanel({ onClose }) {
   };
 
   const handleDeleteKey = async (provider) => {
-    const success = await storage.deleteKey(provider);
+    const success = await storage.deleteKey(provider, getSelectedLabel(provider));
     if (success) {
       await checkKeys();
       setShowConfirmDelete(null);
+      setSelectedLabels((prev) => ({ ...prev, [provider]: undefined }));
       setTestResults((prev) => ({ ...prev, [provider]: null }));
     }
   };
 
-  const handleChangeKey = (provider) => {
-    setShowSetup(true);
+  const handleStartRotate = (provider) => {
+    setRotating(provider);
+    setRotateValue('');
+    setRotateError('');
+    setRenaming(null);
+    setShowConfirmDelete(null);
+    setTestResults((prev) => ({ ...prev, [provider]: null }));
+  };
+
+  const handleRotateKey = async (provider) => {
+    const label = getSelectedLabel(provider);
+    const newKey = rotateValue.trim();
+
+    const validation = storage.validateKey(newKey, provider);
+    if (!validation.valid) {
+      setRotateError(validation.hint);
+      return;
+    }
+    if (newKey === (await storage.retrieveKey(provider, label, { recordUse: false }))) {
+      setRotateError('This is the key that is already stored. Generate a new key first.');
+      return;
+    }
+
+    setIsRotating(true);
+    try {
+      const success = await storage.rotateKey(newKey, provider, label);
+      if (!success) {
+        setRotateError('Failed to rotate key. Please try again.');
+        return;
+      }
+      setRotating(null);
+      setRotateValue('');
+      setTestResults((prev) => ({
+        ...prev,
+        [provider]: { tone: 'success', message: 'Key rotated. Remember to revoke the old key in your provider dashboard.' }
+      }));
+      await checkKeys();
+    } finally {
+      setIsRotating(false);
+    }
+  };
+
+  const handleAddKey = (provider) => {
+    const taken = new Set((keyLabels[provider] || []).map((entry) => entry.label));
+    let n = taken.size + 1;
+    while (taken.has(`Key ${n}`)) n++;
+    openSetup(provider, `Key ${n}`);
+  };
+
+  const handleSetDefault = async (provider) => {
+    const success = await storage.setDefaultKey(provider, getSelectedLabel(provider));
+    if (success) {
+      await checkKeys();
+    }
+  };
+
+  const handleStartRename = (provider) => {
+    setRenaming(provider);
+    setRenameValue(getSelectedLabel(provider));
+    setRenameError('');
+    setRotating(null);
+    setShowConfirmDelete(null);
+  };
+
+  const handleRenameKey = async (provider) => {
+    const newLabel = renameValue.trim();
+    const label = getSelectedLabel(provider);
+    if (!newLabel) {
+      setRenameError('Please enter a label');
+      return;
+    }
+    if (newLabel !== label) {
+      const success = await storage.renameKey(provider, label, newLabel);
+      if (!success) {
+        setRenameError('A key with that label already exists');
+        return;
+      }
+      setSelectedLabels((prev) => ({ ...prev, [provider]: newLabel }));
+      await checkKeys();
+    }
+    setRenaming(null);
+  };
+
+  const handleRecoverVault = async () => {
+    setRecoveryError('');
+    setIsRecovering(true);
+    try {
+      const success = await storage.recoverVault(recoverySecret);
+      if (success) {
+        setRecoverySecret('');
+        await checkKeys();
+      } else {
+        setRecoveryError('That password did not unlock the stored keys.');
+      }
+    } finally {
+      setIsRecovering(false);
+    }
+  };
+
+  const handleConfirmRecoveryAction = async () => {
+    setIsRecovering(true);
+    try {
+      if (confirmRecoveryAction === 'rekey') {
+        await storage.rekeyVault();
+      } else {
+        await storage.clearAll();
+      }
+      setConfirmRecoveryAction(null);
+      await checkKeys();
+    } finally {
+      setIsRecovering(false);
+    }
   };
 
   const configuredProviders = providers.filter(p => hasKey[p]);
@@ -1469,19 +6347,149 @@ export function AISettingsPanel({ onClose }) {
             <Icons.Shield />
             AI API Keys
           </h3>
-          {onClose && (
-            <button
-              className="byok-key-card-btn"
-              onClick={onClose}
-              aria-label="Close settings"
-            >
-              <Icons.X />
-            </button>
-          )}
+          <div style={{ display: 'flex', gap: 8 }}>
+            {lockMode === 'passphrase' && !locked && (
+              <button
+                className="byok-key-card-btn"
+                onClick={lock}
+                aria-label="Lock API keys"
+              >
+                <Icons.Lock />
+                Lock
+              </button>
+            )}
+            {onClose && (
+              <button
+                className="byok-key-card-btn"
+                onClick={onClose}
+                aria-label="Close settings"
+              >
+                <Icons.X />
+              </button>
+            )}
+          </div>
         </div>
 
         <div className="byok-settings-body">
-          {configuredProviders.length === 0 && unconfiguredProviders.length === providers.length ? (
+          {locked ? (
+            <div className="byok-empty-state">
+              <Icons.Lock className="byok-empty-state-icon" />
+              <p className="byok-empty-state-text">
+                Your API keys are locked. Unlock them with your passphrase to manage keys.
+              </p>
+              <button
+                className="byok-btn byok-btn-primary"
+                onClick={() => setShowUnlock(true)}
+                style={{ width: 'auto', display: 'inline-flex' }}
+              >
+                <Icons.Lock />
+                Unlock
+              </button>
+            </div>
+          ) : vaultUnreadable ? (
+            <div className="byok-key-card">
+              <div className="byok-key-card-header">
+                <div className="byok-key-card-provider">
+                  <span className="byok-key-card-provider-name">Stored keys</span>
+                  <span className="byok-key-card-status unreadable">Unreadable</span>
+                </div>
+              </div>
+              <p className="byok-key-card-description">
+                Your saved keys could not be decrypted on this device. Nothing will be
+                overwritten until you choose how to continue.
+              </p>
+              {deviceKeyLost && (
+                <p className="byok-key-card-description">
+                  They were locked to this browser's device key, which is no longer available (site data was
+                  cleared, or this is another browser or profile). No password can restore them: start a new
+                  vault and add your keys again.
+                </p>
+              )}
+
+              {!deviceKeyLost && (
+                <div className="byok-input-group">
+                  <label htmlFor="byok-recovery-secret" className="byok-input-label">
+                    Recover with previous password
+                  </label>
+                  <input
+                    id="byok-recovery-secret"
+                    type="password"
+                    className={`byok-input ${recoveryError ? 'error' : ''}`}
+                    value={recoverySecret}
+                    onChange={(e) => setRecoverySecret(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && !isRecovering && handleRecoverVault()}
+                    disabled={isRecovering}
+                    autoComplete="off"
+                    spellCheck="false"
+                    aria-describedby={recoveryError ? 'byok-recovery-error' : undefined}
+                    aria-invalid={recoveryError ? 'true' : 'false'}
+                  />
+                  {recoveryError && (
+                    <div id="byok-recovery-error" className="byok-error-message" role="alert">
+                      <Icons.AlertCircle />
+                      <span>{recoveryError}</span>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="byok-key-card-actions">
+                {!deviceKeyLost && (
+                  <button
+                    className="byok-key-card-btn"
+                    onClick={handleRecoverVault}
+                    disabled={isRecovering || !recoverySecret}
+                  >
+                    <Icons.Key />
+                    Recover
+                  </button>
+                )}
+                <button
+                  className="byok-key-card-btn"
+                  onClick={() => setConfirmRecoveryAction('rekey')}
+                  disabled={isRecovering}
+                >
+                  <Icons.RefreshCw />
+                  Start New Vault
+                </button>
+                <button
+                  className="byok-key-card-btn danger"
+                  onClick={() => setConfirmRecoveryAction('reset')}
+                  disabled={isRecovering}
+                >
+                  <Icons.Trash />
+                  Reset
+                </button>
+              </div>
+
+              {confirmRecoveryAction && (
+                <div className="byok-test-result error" style={{ flexDirection: 'column', alignItems: 'stretch', gap: 12 }}>
+                  <span>
+                    {confirmRecoveryAction === 'rekey'
+                      ? 'Start a new vault? The unreadable keys are set aside, not deleted.'
+                      : 'Permanently delete the unreadable keys and all key data?'}
+                  </span>
+                  <div style={{ display: 'flex', gap: 8 }}>
+                    <button
+                      className="byok-key-card-btn danger"
+                      onClick={handleConfirmRecoveryAction}
+                      disabled={isRecovering}
+                      style={{ flex: 1, justifyContent: 'center' }}
+                    >
+                      {confirmRecoveryAction === 'rekey' ? 'Yes, Start New Vault' : 'Yes, Reset'}
+                    </button>
+                    <button
+                      className="byok-key-card-btn"
+                      onClick={() => setConfirmRecoveryAction(null)}
+                      style={{ flex: 1, justifyContent: 'center' }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ) : configuredProviders.length === 0 && unconfiguredProviders.length === providers.length ? (
             <div className="byok-empty-state">
               <Icons.Key className="byok-empty-state-icon" />
               <p className="byok-empty-state-text">
@@ -1489,7 +6497,7 @@ export function AISettingsPanel({ onClose }) {
               </p>
               <button
                 className="byok-btn byok-btn-primary"
-                onClick={() => setShowSetup(true)}
+                onClick={() => openSetup()}
                 style={{ width: 'auto', display: 'inline-flex' }}
               >
                 <Icons.Plus />
@@ -1498,18 +6506,195 @@ export function AISettingsPanel({ onClose }) {
             </div>
           ) : (
             <>
-              {configuredProviders.map((provider) => (
+              {configuredProviders.map((provider) => {
+                const labels = keyLabels[provider] || [];
+                const selectedLabel = getSelectedLabel(provider);
+                const isDefault = labels.some((entry) => entry.label === selectedLabel && entry.isDefault);
+                const rotation = rotationDue.find((entry) => entry.provider === provider && entry.label === selectedLabel);
+                const unverified = unverifiedKeys.find((entry) => entry.provider === provider && entry.label === selectedLabel);
+                const details = keyDetails[provider]?.[selectedLabel];
+
+                return (
                 <div key={provider} className="byok-key-card">
                   <div className="byok-key-card-header">
                     <div className="byok-key-card-provider">
-                      <span className="byok-key-card-provider-name">{provider}</span>
-                      <span className="byok-key-card-status configured">Configured</span>
+                      <span className="byok-key-card-provider-name">{getProviderLabel(provider)}</span>
+                      {unverified ? (
+                        <span className="byok-key-card-status unverified" title={VERIFICATION_MESSAGES[unverified.status]}>
+                          Unverified
+                        </span>
+                      ) : (
+                        <span className="byok-key-card-status configured">Configured</span>
+                      )}
                     </div>
                   </div>
-                  
-                  <div className="byok-key-card-value">
-                    {maskedKeys[provider] || '••••••••'}
-                  </div>
+
+                  {labels.length > 1 && (
+                    <select
+                      className="byok-select"
+                      value={selectedLabel}
+                      onChange={(e) => handleSelectLabel(provider, e.target.value)}
+                      aria-label={`Select ${getProviderLabel(provider)} key`}
+                    >
+                      {labels.map(({ label, isDefault: labelIsDefault }) => (
+                        <option key={label} value={label}>
+                          {`${label}${labelIsDefault ? ' (default)' : ''}${
+                            rotationDue.some((entry) => entry.provider === provider && entry.label === label) ? ' – rotation due' : ''
+                          }${
+                            unverifiedKeys.some((entry) => entry.provider === provider && entry.label === label) ? ' – unverified' : ''
+                          }`}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+
+                  {rotation && rotating !== provider && (
+                    <div className={`byok-rotation-banner ${rotation.status}`} role="status">
+                      <Icons.AlertCircle />
+                      <span>
+                        {rotation.status === 'overdue'
+                          ? `This key was due for rotation on ${new Date(rotation.dueAt).toLocaleDateString()}.`
+                          : `This key is due for rotation in ${rotation.daysLeft} ${rotation.daysLeft === 1 ? 'day' : 'days'}.`}
+                      </span>
+                      <button
+                        className="byok-key-card-btn"
+                        onClick={() => handleStartRotate(provider)}
+                      >
+                        Rotate now
+                      </button>
+                    </div>
+                  )}
+
+                  {rotating === provider ? (
+                    <div className="byok-input-group">
+                      <p className="byok-key-card-description">
+                        Create a new key in your {getProviderLabel(provider)} dashboard and paste it below. It replaces
+                        the "{selectedLabel}" key everywhere it is used.
+                      </p>
+                      <input
+                        type="password"
+                        className={`byok-input ${rotateError ? 'error' : ''}`}
+                        placeholder="New API key"
+                        value={rotateValue}
+                        onChange={(e) => {
+                          setRotateValue(e.target.value);
+                          setRotateError('');
+                        }}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' && !isRotating) handleRotateKey(provider);
+                          if (e.key === 'Escape') setRotating(null);
+                        }}
+                        disabled={isRotating}
+                        autoComplete="off"
+                        spellCheck="false"
+                        aria-label="New API key"
+                        aria-invalid={rotateError ? 'true' : 'false'}
+                        autoFocus
+                      />
+                      {rotateError && (
+                        <div className="byok-error-message" role="alert">
+                          <Icons.AlertCircle />
+                          <span>{rotateError}</span>
+                        </div>
+                      )}
+                      <div style={{ display: 'flex', gap: 8 }}>
+                        <button
+                          className="byok-key-card-btn"
+                          onClick={() => handleRotateKey(provider)}
+                          disabled={isRotating || !rotateValue.trim()}
+                          style={{ flex: 1, justifyContent: 'center' }}
+                        >
+                          {isRotating ? 'Rotating...' : 'Replace Key'}
+                        </button>
+                        <button
+                          className="byok-key-card-btn"
+                          onClick={() => setRotating(null)}
+                          disabled={isRotating}
+                          style={{ flex: 1, justifyContent: 'center' }}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : renaming === provider ? (
+                    <div className="byok-input-group">
+                      <input
+                        type="text"
+                        className={`byok-input ${renameError ? 'error' : ''}`}
+                        value={renameValue}
+                        onChange={(e) => {
+                          setRenameValue(e.target.value);
+                          setRenameError('');
+                        }}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleRenameKey(provider);
+                          if (e.key === 'Escape') setRenaming(null);
+                        }}
+                        maxLength={40}
+                        autoComplete="off"
+                        aria-label="New key label"
+                        aria-invalid={renameError ? 'true' : 'false'}
+                        autoFocus
+                      />
+                      {renameError && (
+                        <div className="byok-error-message" role="alert">
+                          <Icons.AlertCircle />
+                          <span>{renameError}</span>
+                        </div>
+                      )}
+                      <div style={{ display: 'flex', gap: 8 }}>
+                        <button
+                          className="byok-key-card-btn"
+                          onClick={() => handleRenameKey(provider)}
+                          style={{ flex: 1, justifyContent: 'center' }}
+                        >
+                          Save
+                        </button>
+                        <button
+                          className="byok-key-card-btn"
+                          onClick={() => setRenaming(null)}
+                          style={{ flex: 1, justifyContent: 'center' }}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="byok-key-card-value">
+                      {maskedKeys[provider]?.[selectedLabel] === '' ? 'No API key' : maskedKeys[provider]?.[selectedLabel] || '••••••••'}
+                    </div>
+                  )}
+
+                  {rotating !== provider && renaming !== provider && credentialFields[provider]?.[selectedLabel]?.length > 0 && (
+                    <dl className="byok-credential-fields">
+                      {credentialFields[provider][selectedLabel].map((field) => (
+                        <React.Fragment key={field.name}>
+                          <dt>{field.label}</dt>
+                          <dd>{field.value}</dd>
+                        </React.Fragment>
+                      ))}
+                    </dl>
+                  )}
+
+                  {details && (
+                    <div className="byok-key-card-meta">
+                      {details.fingerprint && (
+                        <span title="Key fingerprint (truncated SHA-256)">#{details.fingerprint}</span>
+                      )}
+                      {details.createdAt && (
+                        <span>Added {new Date(details.createdAt).toLocaleDateString()}</span>
+                      )}
+                      <span className={isStaleKey(details) ? 'stale' : undefined}>
+                        {details.lastUsedAt
+                          ? `Last used ${new Date(details.lastUsedAt).toLocaleDateString()}`
+                          : 'Never used'}
+                      </span>
+                      <span>{details.useCount} {details.useCount === 1 ? 'use' : 'uses'}</span>
+                      {details.lastVerifiedAt && (
+                        <span>Verified {new Date(details.lastVerifiedAt).toLocaleDateString()}</span>
+                      )}
+                    </div>
+                  )}
 
                   <div className="byok-key-card-actions">
                     <button
@@ -1529,12 +6714,37 @@ export function AISettingsPanel({ onClose }) {
                         </>
                       )}
                     </button>
+                    {maskedKeys[provider]?.[selectedLabel] !== '' && (
+                      <button
+                        className="byok-key-card-btn"
+                        onClick={() => handleStartRotate(provider)}
+                      >
+                        <Icons.Key />
+                        Rotate
+                      </button>
+                    )}
                     <button
                       className="byok-key-card-btn"
-                      onClick={() => handleChangeKey(provider)}
+                      onClick={() => handleStartRename(provider)}
                     >
                       <Icons.Edit />
-                      Change
+                      Rename
+                    </button>
+                    {!isDefault && (
+                      <button
+                        className="byok-key-card-btn"
+                        onClick={() => handleSetDefault(provider)}
+                      >
+                        <Icons.Check />
+                        Set Default
+                      </button>
+                    )}
+                    <button
+                      className="byok-key-card-btn"
+                      onClick={() => handleAddKey(provider)}
+                    >
+                      <Icons.Plus />
+                      Add Key
                     </button>
                     <button
                       className="byok-key-card-btn danger"
@@ -1546,15 +6756,15 @@ export function AISettingsPanel({ onClose }) {
                   </div>
 
                   {testResults[provider] && (
-                    <div className={`byok-test-result ${testResults[provider].success ? 'success' : 'error'}`}>
-                      {testResults[provider].success ? <Icons.Check /> : <Icons.AlertCircle />}
+                    <div className={`byok-test-result ${testResults[provider].tone}`} role="status">
+                      {testResults[provider].tone === 'success' ? <Icons.Check /> : <Icons.AlertCircle />}
                       <span>{testResults[provider].message}</span>
                     </div>
                   )}
 
                   {showConfirmDelete === provider && (
                     <div className="byok-test-result error" style={{ flexDirection: 'column', alignItems: 'stretch', gap: 12 }}>
-                      <span>Are you sure you want to delete this key?</span>
+                      <span>Are you sure you want to delete the "{selectedLabel}" key?</span>
                       <div style={{ display: 'flex', gap: 8 }}>
                         <button
                           className="byok-key-card-btn danger"
@@ -1574,21 +6784,22 @@ export function AISettingsPanel({ onClose }) {
                     </div>
                   )}
                 </div>
-              ))}
+                );
+              })}
 
               {unconfiguredProviders.length > 0 && (
                 <div className="byok-key-card" style={{ opacity: 0.7 }}>
                   <div className="byok-key-card-header">
                     <div className="byok-key-card-provider">
                       <span className="byok-key-card-provider-name">
-                        {unconfiguredProviders.join(', ')}
+                        {unconfiguredProviders.map(getProviderLabel).join(', ')}
                       </span>
                       <span className="byok-key-card-status not-configured">Not Configured</span>
                     </div>
                   </div>
                   <button
                     className="byok-key-card-btn"
-                    onClick={() => setShowSetup(true)}
+                    onClick={() => openSetup()}
                     style={{ width: '100%', justifyContent: 'center' }}
                   >
                     <Icons.Plus />
@@ -1598,6 +6809,16 @@ export function AISettingsPanel({ onClose }) {
               )}
             </>
           )}
+
+          {!locked && !vaultUnreadable && (
+            <>
+              <ArchivedVaultSection />
+              <ProviderOrderSection />
+              <KeyBackupSection canExport={configuredProviders.length > 0} />
+            </>
+          )}
+
+          <PromptSettingsSection />
         </div>
       </div>
     </div>
@@ -1613,19 +6834,25 @@ export function AIFeatureButton({
   onEnabled, 
   onDisabled,
   provider,
+  keyLabel,
+  featureName,
+  reason,
   className = '',
   ...props 
 }) {
-  const { hasKey, tryEnableFeature, isLoading, setActiveProvider, activeProvider } = useBYOK();
+  const { hasKey, keyLabels, requestKey, isLoading, setActiveProvider, activeProvider } = useBYOK();
   const targetProvider = provider || activeProvider;
-  const isEnabled = hasKey[targetProvider];
+  const isEnabled = keyLabel
+    ? (keyLabels[targetProvider] || []).some((entry) => entry.label === keyLabel)
+    : hasKey[targetProvider];
 
   const handleClick = async () => {
     if (provider && provider !== activeProvider) {
       setActiveProvider(provider);
     }
     
-    const key = await tryEnableFeature(targetProvider);
+    // Resolves once the user has saved a key or skipped setup
+    const key = await requestKey(targetProvider, { label: keyLabel, featureName, reason });
     
     if (key && onEnabled) {
       onEnabled(key);
@@ -1661,6 +6888,16 @@ export function BYOKSecureStorage({
   appName, 
   providers = ['openai', 'anthropic'],
   onKeyChange,
+  backend,
+  lockMode,
+  autoLockTimeout,
+  lockOnHidden,
+  cacheTTL,
+  rotationIntervalDays,
+  verifyOnSave,
+  promptMode,
+  snoozeDays,
+  chatEndpoints,
   theme = 'auto',
   children 
 }) {
@@ -1669,10 +6906,21 @@ export function BYOKSecureStorage({
       appName={appName} 
       providers={providers} 
       onKeyChange={onKeyChange}
+      backend={backend}
+      lockMode={lockMode}
+      autoLockTimeout={autoLockTimeout}
+      lockOnHidden={lockOnHidden}
+      cacheTTL={cacheTTL}
+      rotationIntervalDays={rotationIntervalDays}
+      verifyOnSave={verifyOnSave}
+      promptMode={promptMode}
+      snoozeDays={snoozeDays}
+      chatEndpoints={chatEndpoints}
       theme={theme}
     >
       {children}
       <APIKeySetupDialog />
+      <VaultUnlockDialog />
     </BYOKProvider>
   );
 }
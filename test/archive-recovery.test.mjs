@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib, MemoryKeyStore } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend } = lib;
+
+const OLD_DEFAULT = `sk-${'a'.repeat(40)}`;
+const OLD_WORK = `sk-${'w'.repeat(40)}`;
+const NEW_DEFAULT = `sk-${'n'.repeat(40)}`;
+const ANTHROPIC = `sk-ant-${'b'.repeat(40)}`;
+
+const open = (backend, encryptionPassword) =>
+  new SecureKeyStorage('Archive', { backend, encryptionPassword, deviceKeyStore: null });
+
+/**
+ * A vault written under `old-password`, set aside by a storage that uses
+ * `new-password`, which then stores a different default OpenAI key
+ */
+async function setUpArchive() {
+  const backend = new MemoryBackend();
+  const before = open(backend, 'old-password');
+  await before.storeKey(OLD_DEFAULT, 'openai');
+  await before.addKey(OLD_WORK, 'openai', 'Work', { rotationIntervalDays: 30 });
+  await before.storeKey(ANTHROPIC, 'anthropic');
+
+  const storage = open(backend, 'new-password');
+  assert.equal(await storage.isVaultReadable(), false);
+  await storage.rekeyVault();
+  await storage.storeKey(NEW_DEFAULT, 'openai');
+  return storage;
+}
+
+test('recovering an archive merges a provider already in the vault key by key', async () => {
+  const storage = await setUpArchive();
+  assert.equal(await storage.recoverVault('old-password'), true);
+
+  const labels = Object.fromEntries((await storage.listKeys('openai')).map(({ label, isDefault }) => [label, isDefault]));
+  assert.deepEqual(labels, { Default: true, 'Default (restored)': false, Work: false });
+  assert.equal(await storage.retrieveKey('openai'), NEW_DEFAULT);
+  assert.equal(await storage.retrieveKey('openai', 'Default (restored)'), OLD_DEFAULT);
+  assert.equal(await storage.retrieveKey('openai', 'Work'), OLD_WORK);
+  assert.equal(await storage.retrieveKey('anthropic'), ANTHROPIC);
+  assert.deepEqual(await storage.getArchivedVaults(), []);
+});
+
+test('recovering an archive restores its key metadata', async () => {
+  const storage = await setUpArchive();
+  await storage.recoverVault('old-password');
+
+  const work = await storage.getKeyMetadata('openai', 'Work');
+  assert.equal(work.rotationIntervalDays, 30);
+  assert.ok(work.createdAt);
+  assert.ok(work.fingerprint);
+});
+
+test('a key already in the vault is not restored twice', async () => {
+  const backend = new MemoryBackend();
+  await open(backend, 'old-password').storeKey(OLD_DEFAULT, 'openai');
+  const storage = open(backend, 'new-password');
+  await storage.rekeyVault();
+  await storage.storeKey(OLD_DEFAULT, 'openai');
+
+  assert.equal(await storage.recoverVault('old-password'), true);
+  assert.deepEqual((await storage.listKeys('openai')).map(({ label }) => label), ['Default']);
+});
+
+test('a wrong secret leaves the archive in place', async () => {
+  const storage = await setUpArchive();
+  assert.equal(await storage.recoverVault('wrong-password'), false);
+  assert.equal((await storage.getArchivedVaults()).length, 1);
+  assert.deepEqual((await storage.listKeys('openai')).map(({ label }) => label), ['Default']);
+});
+
+test('each rekey keeps the earlier archives', async () => {
+  const storage = await setUpArchive();
+  await open(storage.backend, 'third-password').rekeyVault();
+  assert.equal((await storage.getArchivedVaults()).length, 2);
+
+  const third = open(storage.backend, 'third-password');
+  assert.equal(await third.recoverVault('new-password'), true);
+  assert.equal(await third.recoverVault('old-password'), true);
+  assert.equal(await third.retrieveKey('openai'), NEW_DEFAULT);
+  assert.equal(await third.retrieveKey('openai', 'Work'), OLD_WORK);
+  assert.deepEqual(await third.getArchivedVaults(), []);
+});
+
+test('a vault locked to a lost device key is flagged and never offered for recovery', async () => {
+  const backend = new MemoryBackend();
+  await new SecureKeyStorage('Archive', { backend, deviceKeyStore: new MemoryKeyStore() }).storeKey(OLD_DEFAULT, 'openai');
+
+  // Site data cleared: a new device key
+  const storage = new SecureKeyStorage('Archive', { backend, deviceKeyStore: new MemoryKeyStore() });
+  assert.equal(await storage.isVaultReadable(), false);
+  assert.equal(await storage.vaultRequiresDeviceKey(), true);
+  assert.equal(await storage.recoverVault('any-password'), false);
+
+  await storage.rekeyVault();
+  assert.deepEqual((await storage.getArchivedVaults()).map(({ requiresDeviceKey }) => requiresDeviceKey), [true]);
+  assert.equal(await storage.recoverVault('any-password'), false);
+  assert.equal((await storage.getArchivedVaults()).length, 1);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend } = lib;
+
+const OPENAI_KEY = `sk-${'a'.repeat(40)}`;
+const OTHER_OPENAI_KEY = `sk-${'z'.repeat(40)}`;
+const ANTHROPIC_KEY = `sk-ant-${'b'.repeat(40)}`;
+const GROQ_KEY = `gsk_${'c'.repeat(40)}`;
+
+const open = (appName = 'Backup') =>
+  new SecureKeyStorage(appName, { backend: new MemoryBackend(), encryptionPassword: 'pw', deviceKeyStore: null });
+
+async function exportFrom(keys, passphrase = 'backup passphrase') {
+  const source = open('Source');
+  for (const [provider, key] of Object.entries(keys)) {
+    await source.storeKey(key, provider, undefined, { rotationIntervalDays: 45 });
+  }
+  return source.exportBackup(passphrase);
+}
+
+test('a backup is encrypted and restores keys and metadata', async () => {
+  const backup = await exportFrom({ openai: OPENAI_KEY, anthropic: ANTHROPIC_KEY });
+  assert.ok(!backup.includes(OPENAI_KEY));
+  assert.equal(JSON.parse(backup).appName, 'Source');
+
+  const target = open();
+  const result = await target.importBackup(backup, 'backup passphrase');
+  assert.deepEqual(result, { imported: ['openai', 'anthropic'], skipped: [] });
+  assert.equal(await target.retrieveKey('openai'), OPENAI_KEY);
+  assert.equal(await target.retrieveKey('anthropic'), ANTHROPIC_KEY);
+  assert.equal((await target.getKeyMetadata('openai')).rotationIntervalDays, 45);
+});
+
+test('a wrong passphrase or a damaged file imports nothing', async () => {
+  const backup = await exportFrom({ openai: OPENAI_KEY });
+  const target = open();
+
+  await assert.rejects(target.importBackup(backup, 'wrong passphrase'), /Incorrect passphrase/);
+  await assert.rejects(target.importBackup('not json', 'backup passphrase'), /Not a valid backup/);
+  await assert.rejects(target.importBackup(JSON.stringify({ format: 'other' }), 'backup passphrase'), /Not a valid backup/);
+  const future = JSON.stringify({ ...JSON.parse(backup), version: 99 });
+  await assert.rejects(target.importBackup(future, 'backup passphrase'), /newer version/);
+  assert.deepEqual(await target.getConfiguredProviders(), []);
+});
+
+test('merging keeps conflicting keys unless they are listed to overwrite', async () => {
+  const backup = await exportFrom({ openai: OPENAI_KEY, anthropic: ANTHROPIC_KEY });
+  const target = open();
+  await target.storeKey(OTHER_OPENAI_KEY, 'openai');
+  await target.storeKey(GROQ_KEY, 'groq');
+
+  const preview = await target.previewBackup(backup, 'backup passphrase');
+  assert.deepEqual(preview.providers, [
+    { provider: 'openai', status: 'conflict' },
+    { provider: 'anthropic', status: 'new' }
+  ]);
+
+  assert.deepEqual(await target.importBackup(backup, 'backup passphrase'), { imported: ['anthropic'], skipped: ['openai'] });
+  assert.equal(await target.retrieveKey('openai'), OTHER_OPENAI_KEY);
+  assert.equal(await target.retrieveKey('groq'), GROQ_KEY);
+
+  await target.importBackup(backup, 'backup passphrase', { overwrite: ['openai'] });
+  assert.equal(await target.retrieveKey('openai'), OPENAI_KEY);
+  assert.equal(await target.retrieveKey('groq'), GROQ_KEY);
+});
+
+test('replacing swaps the whole vault for the backup', async () => {
+  const backup = await exportFrom({ openai: OPENAI_KEY });
+  const target = open();
+  await target.storeKey(GROQ_KEY, 'groq');
+
+  await target.importBackup(backup, 'backup passphrase', { mode: 'replace' });
+  assert.deepEqual(await target.getConfiguredProviders(), ['openai']);
+  assert.equal(await target.getKeyMetadata('groq'), null);
+});
+
+test('a locked vault neither exports nor imports', async () => {
+  const backup = await exportFrom({ openai: OPENAI_KEY });
+  const locked = new SecureKeyStorage('Backup', { backend: new MemoryBackend(), lockMode: 'passphrase', deviceKeyStore: null });
+
+  await assert.rejects(locked.exportBackup('backup passphrase'), /locked/);
+  await assert.rejects(locked.importBackup(backup, 'backup passphrase'), /locked/);
+  await assert.rejects(open().exportBackup(''), /passphrase is required/);
+});
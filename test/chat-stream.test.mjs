@@ -0,0 +1,213 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend, ChatClient, ChatError } = lib;
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+async function openClient() {
+  const storage = new SecureKeyStorage('Chat', {
+    backend: new MemoryBackend(),
+    encryptionPassword: 'pw',
+    deviceKeyStore: null,
+    providers: ['openai', 'anthropic']
+  });
+  await storage.storeKey(`sk-${'o'.repeat(40)}`, 'openai');
+  await storage.storeKey(`sk-ant-${'a'.repeat(40)}`, 'anthropic');
+  return new ChatClient(storage);
+}
+
+/**
+ * A streamed response delivering `chunks` as separate reads; records
+ * whether the reader cancelled it
+ */
+function streamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map((chunk) => (typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+  const response = new Response(new ReadableStream({
+    pull(controller) {
+      if (queue.length > 0) controller.enqueue(queue.shift());
+      else controller.close();
+    },
+    cancel() {
+      response.cancelled = true;
+    }
+  }, { highWaterMark: 0 }));
+  response.cancelled = false;
+  return response;
+}
+
+function mockFetch(response) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body), headers: init.headers });
+    return response;
+  };
+  return calls;
+}
+
+async function collect(iterator) {
+  const events = [];
+  for await (const event of iterator) events.push(event);
+  return events;
+}
+
+test('an OpenAI stream split across reads is normalized', async () => {
+  const client = await openClient();
+  const euro = new TextEncoder().encode('€');
+  const calls = mockFetch(streamResponse([
+    ': keep-alive\r\n\r\n',
+    'data: {"model":"gpt-4o-mini-2024","choices":[{"delta":{"content":"Hel"}}]}\r\n',
+    '\r\ndata: {"choices":[{"delta":{"content":"lo "',
+    '}}]}\n\ndata: {"choices":[{"delta":{"content":"',
+    // A multi-byte character split between reads
+    euro.slice(0, 1),
+    new Uint8Array([...euro.slice(1), ...new TextEncoder().encode('5"},"finish_reason":"length"}]}\n\n')]),
+    'data: {"choices":[],"usage":{"prompt_tokens":12,"completion_tokens":3}}\n\n',
+    'data: [DONE]\n\n'
+  ]));
+
+  const events = await collect(client.stream({
+    provider: 'openai',
+    system: 'Be brief',
+    messages: [{ role: 'user', content: 'Hi' }]
+  }));
+
+  assert.deepEqual(events.filter((event) => event.type === 'text').map((event) => event.text), ['Hel', 'lo ', '€5']);
+  assert.deepEqual(events.at(-1), {
+    type: 'done',
+    provider: 'openai',
+    model: 'gpt-4o-mini-2024',
+    text: 'Hello €5',
+    stopReason: 'max_tokens',
+    usage: { inputTokens: 12, outputTokens: 3 }
+  });
+  assert.equal(calls[0].url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(calls[0].body.stream, true);
+  assert.deepEqual(calls[0].body.stream_options, { include_usage: true });
+  assert.deepEqual(calls[0].body.messages[0], { role: 'system', content: 'Be brief' });
+});
+
+test('an Anthropic stream is normalized to the same shape', async () => {
+  const client = await openClient();
+  const calls = mockFetch(streamResponse([
+    'event: message_start\ndata: {"type":"message_start","message":{"model":"claude-3-5-haiku-20241022","usage":{"input_tokens":9}}}\n\n',
+    'event: content_block_start\ndata: {"type":"content_block_start","index":0}\n\nevent: ping\ndata: {"type":"ping"}\n\n',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi "}}\n\n',
+    'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"there"}}\n\n',
+    'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":2}}\n\n',
+    'event: message_stop\ndata: {"type":"message_stop"}'
+  ]));
+
+  const events = await collect(client.stream({
+    provider: 'anthropic',
+    messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }]
+  }));
+
+  assert.deepEqual(events.at(-1), {
+    type: 'done',
+    provider: 'anthropic',
+    model: 'claude-3-5-haiku-20241022',
+    text: 'Hi there',
+    stopReason: 'end',
+    usage: { inputTokens: 9, outputTokens: 2 }
+  });
+  assert.equal(calls[0].body.system, 'Be brief');
+  assert.deepEqual(calls[0].body.messages, [{ role: 'user', content: 'Hi' }]);
+  assert.equal(calls[0].body.max_tokens, 1024);
+});
+
+test('a data field spread over several lines is joined with newlines', async () => {
+  const client = await openClient();
+  mockFetch(streamResponse([
+    'data: {"choices":[{"delta":\ndata: {"content":"one"}}]}\n\n',
+    'data: [DONE]\n\n'
+  ]));
+
+  const events = await collect(client.stream({ provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] }));
+  assert.equal(events.at(-1).text, 'one');
+});
+
+test('an error event mid-stream throws a ChatError for the provider', async () => {
+  const client = await openClient();
+  mockFetch(streamResponse([
+    'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n',
+    'event: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n'
+  ]));
+
+  const events = [];
+  await assert.rejects(async () => {
+    for await (const event of client.stream({ provider: 'anthropic', messages: [{ role: 'user', content: 'Hi' }] })) {
+      events.push(event);
+    }
+  }, (error) => error instanceof ChatError &&
+    error.code === 'overloaded' &&
+    error.provider === 'anthropic' &&
+    error.message === 'Overloaded');
+  assert.deepEqual(events, [{ type: 'text', text: 'Hi' }]);
+});
+
+test('an unreadable event reports an interrupted response', async () => {
+  const client = await openClient();
+  mockFetch(streamResponse(['data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n', 'data: {"choi\n\n']));
+
+  await assert.rejects(
+    collect(client.stream({ provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] })),
+    (error) => error instanceof ChatError && error.code === 'network' && error.provider === 'openai'
+  );
+});
+
+test('stopping early cancels the response body', async () => {
+  const client = await openClient();
+  const response = streamResponse([
+    'data: {"choices":[{"delta":{"content":"one"}}]}\n\n',
+    'data: {"choices":[{"delta":{"content":"two"}}]}\n\n',
+    'data: [DONE]\n\n'
+  ]);
+  mockFetch(response);
+
+  for await (const event of client.stream({ provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] })) {
+    assert.deepEqual(event, { type: 'text', text: 'one' });
+    break;
+  }
+  assert.equal(response.cancelled, true);
+});
+
+test('complete() normalizes a full reply', async () => {
+  const client = await openClient();
+  mockFetch(Response.json({
+    model: 'claude-3-5-haiku-20241022',
+    content: [{ type: 'text', text: 'Hello' }, { type: 'tool_use', id: 't1' }, { type: 'text', text: ' there' }],
+    stop_reason: 'stop_sequence',
+    usage: { input_tokens: 4, output_tokens: 2 }
+  }));
+
+  assert.deepEqual(await client.complete({ provider: 'anthropic', messages: [{ role: 'user', content: 'Hi' }] }), {
+    provider: 'anthropic',
+    model: 'claude-3-5-haiku-20241022',
+    text: 'Hello there',
+    stopReason: 'stop_sequence',
+    usage: { inputTokens: 4, outputTokens: 2 }
+  });
+});
+
+test('an error status throws a ChatError with its code and retry delay', async () => {
+  const client = await openClient();
+  mockFetch(Response.json(
+    { error: { message: 'Slow down' } },
+    { status: 429, headers: { 'retry-after': '20' } }
+  ));
+
+  await assert.rejects(
+    collect(client.stream({ provider: 'openai', messages: [{ role: 'user', content: 'Hi' }] })),
+    (error) => error instanceof ChatError &&
+      error.code === 'rate_limit' &&
+      error.status === 429 &&
+      error.retryAfter === 20 &&
+      error.message === 'Slow down'
+  );
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib, MemoryKeyStore, installLocalStorage, sleep } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend } = lib;
+
+const OPENAI_KEY = `sk-${'a'.repeat(40)}`;
+const ANTHROPIC_KEY = `sk-ant-${'b'.repeat(40)}`;
+const GROQ_KEY = `gsk_${'c'.repeat(40)}`;
+
+/**
+ * Device key store shared by several "tabs", with random latency so their
+ * reads and writes interleave
+ */
+class SlowKeyStore {
+  constructor(items, { atomicAdd }) {
+    this.store = new MemoryKeyStore();
+    this.store.items = items;
+    if (atomicAdd) {
+      this.addItem = async (key, value) => {
+        await sleep(Math.random() * 10);
+        return this.store.addItem(key, value);
+      };
+    }
+  }
+
+  async getItem(key) {
+    await sleep(Math.random() * 10);
+    return this.store.getItem(key);
+  }
+
+  async setItem(key, value) {
+    await sleep(Math.random() * 10);
+    return this.store.setItem(key, value);
+  }
+}
+
+for (const atomicAdd of [true, false]) {
+  test(`tabs creating the device key at once end up sharing one (${atomicAdd ? 'addItem' : 'cross-tab lock'})`, async () => {
+    installLocalStorage();
+    for (let run = 0; run < 10; run++) {
+      const backend = new MemoryBackend();
+      await new SecureKeyStorage('DeviceKey', { backend, deviceKeyStore: null }).storeKey(OPENAI_KEY, 'openai');
+
+      // Reading the legacy vault makes each tab fetch, or create, the device key
+      const items = new Map();
+      const tab = () => new SecureKeyStorage('DeviceKey', {
+        backend,
+        deviceKeyStore: new SlowKeyStore(items, { atomicAdd })
+      });
+      const [first, second] = [tab(), tab()];
+      await Promise.all([first.hasKey('openai'), second.hasKey('openai')]);
+
+      assert.equal(await first.storeKey(ANTHROPIC_KEY, 'anthropic'), true, `run ${run}`);
+      assert.equal(await second.storeKey(GROQ_KEY, 'groq'), true, `run ${run}`);
+      const reader = tab();
+      assert.deepEqual((await reader.getConfiguredProviders()).sort(), ['anthropic', 'groq', 'openai'], `run ${run}`);
+    }
+  });
+}
+
+test('a fingerprint-encrypted vault moves to the device key without losing a concurrent write', async () => {
+  for (let run = 0; run < 20; run++) {
+    const backend = new MemoryBackend();
+    await new SecureKeyStorage('Legacy', { backend, deviceKeyStore: null, cacheTTL: 0 }).storeKey(OPENAI_KEY, 'openai');
+
+    const deviceKeyStore = new SlowKeyStore(new Map(), { atomicAdd: true });
+    const storage = new SecureKeyStorage('Legacy', { backend, deviceKeyStore, cacheTTL: 0 });
+    const [stored] = await Promise.all([storage.storeKey(ANTHROPIC_KEY, 'anthropic'), storage.hasKey('openai')]);
+    assert.equal(stored, true);
+    // Let the background migration finish
+    await storage._writeQueue;
+    await sleep(10);
+
+    assert.deepEqual(JSON.parse(await backend.getItem('Legacy_byok_storage')).kdf, { name: 'device-key' });
+    const reopened = new SecureKeyStorage('Legacy', { backend, deviceKeyStore, cacheTTL: 0 });
+    assert.equal(await reopened.retrieveKey('openai', undefined, { recordUse: false }), OPENAI_KEY, `run ${run}`);
+    assert.equal(await reopened.retrieveKey('anthropic', undefined, { recordUse: false }), ANTHROPIC_KEY, `run ${run}`);
+  }
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend } = lib;
+
+const saltOf = (blob) => JSON.parse(blob).kdf.salt;
+
+test('a changed fingerprint derives a new key instead of reusing the cached one', async () => {
+  const backend = new MemoryBackend();
+  const storage = new SecureKeyStorage('KeyCache', { backend, deviceKeyStore: null });
+  await storage.storeKey(`sk-${'a'.repeat(40)}`, 'openai');
+  const firstSalt = saltOf(await backend.getItem(storage.storageKey));
+
+  const { width } = globalThis.screen;
+  globalThis.screen.width = width + 1;
+  try {
+    await storage.storeKey(`sk-ant-${'b'.repeat(40)}`, 'anthropic');
+    assert.notEqual(saltOf(await backend.getItem(storage.storageKey)), firstSalt);
+
+    // Readable by the new fingerprint alone
+    const fresh = new SecureKeyStorage('KeyCache', { backend, deviceKeyStore: null });
+    assert.deepEqual((await fresh.getConfiguredProviders()).sort(), ['anthropic', 'openai']);
+  } finally {
+    globalThis.screen.width = width;
+  }
+});
+
+test('writes under the same password reuse the cached derivation with a fresh IV', async () => {
+  const backend = new MemoryBackend();
+  const storage = new SecureKeyStorage('KeyCache', { backend, encryptionPassword: 'pw', deviceKeyStore: null });
+  await storage.storeKey(`sk-${'a'.repeat(40)}`, 'openai');
+  const first = JSON.parse(await backend.getItem(storage.storageKey));
+  await storage.storeKey(`sk-ant-${'b'.repeat(40)}`, 'anthropic');
+  const second = JSON.parse(await backend.getItem(storage.storageKey));
+
+  assert.equal(second.kdf.salt, first.kdf.salt);
+  assert.notEqual(second.cipher.iv, first.cipher.iv);
+});
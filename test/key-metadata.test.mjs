@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib, sleep } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend } = lib;
+
+const open = () => new SecureKeyStorage('Metadata', {
+  backend: new MemoryBackend(),
+  encryptionPassword: 'pw',
+  deviceKeyStore: null
+});
+
+test('retrieving a key records its use', async () => {
+  const storage = open();
+  await storage.addKey(`sk-${'w'.repeat(40)}`, 'openai', 'Work');
+  await storage.retrieveKey('openai', 'Work');
+  await storage.retrieveKey('openai', 'Work');
+  await sleep(50);
+
+  const record = await storage.getKeyMetadata('openai', 'Work');
+  assert.equal(record.useCount, 2);
+  assert.ok(record.lastUsedAt);
+});
+
+test('a use recorded after the key was deleted does not bring its record back', async () => {
+  const storage = open();
+  await storage.storeKey(`sk-${'a'.repeat(40)}`, 'openai');
+  await storage.addKey(`sk-${'w'.repeat(40)}`, 'openai', 'Work');
+
+  // The use record queues behind the delete's write
+  await storage.retrieveKey('openai', 'Work');
+  await storage.deleteKey('openai', 'Work');
+  await sleep(50);
+
+  const metadata = JSON.parse(await storage.backend.getItem(storage.metadataKey));
+  assert.deepEqual(Object.keys(metadata.openai.keys), ['Default']);
+});
+
+test('verifying a key that was deleted is not recorded', async () => {
+  const storage = open();
+  await storage.addKey(`sk-${'w'.repeat(40)}`, 'openai', 'Work');
+  await storage.deleteKey('openai', 'Work');
+
+  assert.equal(await storage.recordVerification('openai', 'Work', { status: 'valid', checkedAt: new Date().toISOString() }), false);
+  const metadata = JSON.parse(await storage.backend.getItem(storage.metadataKey) || '{}');
+  assert.equal(metadata.openai?.keys?.Work, undefined);
+});
@@ -0,0 +1,68 @@
+// Loads BYOKSecureStorage.jsx into Node for the tests: compiles the JSX with
+// esbuild and provides the few browser globals the storage layer reads.
+import { mkdirSync, readFileSync, unlinkSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { transformSync } from 'esbuild';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+if (!globalThis.navigator?.userAgent) {
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { userAgent: 'node', language: 'en-US' },
+    configurable: true
+  });
+}
+globalThis.screen ??= { width: 1920, height: 1080 };
+
+const { code } = transformSync(readFileSync(join(root, 'BYOKSecureStorage.jsx'), 'utf8'), {
+  loader: 'jsx',
+  format: 'esm'
+});
+// Inside node_modules so the compiled file resolves `react` from the repo
+const outDir = join(root, 'node_modules', '.cache', 'byok-tests');
+const outFile = join(outDir, `BYOKSecureStorage.${process.pid}.mjs`);
+mkdirSync(outDir, { recursive: true });
+writeFileSync(outFile, code);
+
+export const lib = await import(pathToFileURL(outFile).href);
+unlinkSync(outFile);
+
+/**
+ * localStorage stand-in, for the cross-tab write lock
+ */
+export function installLocalStorage() {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+  return items;
+}
+
+/**
+ * Device key store holding CryptoKeys in memory, like IndexedDBBackend
+ */
+export class MemoryKeyStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async getItem(key) {
+    return this.items.get(key) ?? null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, value);
+    return true;
+  }
+
+  async addItem(key, value) {
+    if (this.items.has(key)) return false;
+    this.items.set(key, value);
+    return true;
+  }
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
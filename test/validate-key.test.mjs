@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend } = lib;
+
+const storage = new SecureKeyStorage('Validate', { backend: new MemoryBackend(), deviceKeyStore: null });
+const OPENAI_KEY = `sk-${'a'.repeat(40)}`;
+
+test('a key for another registered provider is reported as wrong_provider', () => {
+  const result = storage.validateKey(OPENAI_KEY, 'anthropic');
+  assert.equal(result.reason, 'wrong_provider');
+  assert.equal(result.detectedProvider, 'openai');
+});
+
+test('an unregistered provider accepts any well-formed key', () => {
+  const result = storage.validateKey(OPENAI_KEY, 'myprov');
+  assert.equal(result.valid, true);
+  assert.equal(result.reason, null);
+});
+
+test('an unregistered provider still rejects malformed keys', () => {
+  assert.equal(storage.validateKey('short', 'myprov').reason, 'too_short');
+  assert.equal(storage.validateKey('has a space', 'myprov').reason, 'whitespace');
+});
+
+test('hints use the article that matches how the provider name is read', () => {
+  const hintFor = (label) => {
+    const id = `article-${label.toLowerCase().replace(/\W+/g, '-')}`;
+    lib.registerProvider({ id, label, keyPattern: /^zz-[a-z]{20,}$/, placeholder: 'zz-...' });
+    return storage.validateKey('not-a-matching-key', id).hint;
+  };
+
+  assert.match(hintFor('LM Studio'), /like an LM Studio key/);
+  assert.match(hintFor('SDK Cloud'), /like an SDK Cloud key/);
+  assert.match(hintFor('xAI'), /like an xAI key/);
+  assert.match(hintFor('xylo'), /like a xylo key/);
+  assert.match(hintFor('Groq'), /like a Groq key/);
+  assert.match(hintFor('OpenAI'), /like an OpenAI key/);
+  assert.match(hintFor('URL Models'), /like a URL Models key/);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib, MemoryKeyStore } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend, VaultUnreadableError } = lib;
+
+const OPENAI_KEY = `sk-${'a'.repeat(40)}`;
+const ANTHROPIC_KEY = `sk-ant-${'b'.repeat(40)}`;
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+
+async function passwordKey(password, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt']
+  );
+}
+
+/**
+ * A version 0 blob, as written before the envelope: base64 of salt + IV + ciphertext
+ */
+async function versionZeroBlob(vault, password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await passwordKey(password, salt, 100000);
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(vault))));
+  return toBase64(new Uint8Array([...salt, ...iv, ...ciphertext]));
+}
+
+/**
+ * A version 1 envelope with the given PBKDF2 iteration count
+ */
+async function envelopeBlob(vault, password, iterations) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await passwordKey(password, salt, iterations);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(vault)));
+  return JSON.stringify({
+    format: 'byok-vault',
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', length: 256, iv: toBase64(iv) },
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  });
+}
+
+const open = (backend, options = {}) =>
+  new SecureKeyStorage('Envelope', { backend, encryptionPassword: 'pw', deviceKeyStore: null, ...options });
+
+test('new vaults are written as a self-describing envelope', async () => {
+  const backend = new MemoryBackend();
+  const storage = open(backend);
+  await storage.storeKey(OPENAI_KEY, 'openai');
+
+  const blob = await backend.getItem(storage.storageKey);
+  const envelope = JSON.parse(blob);
+  assert.equal(envelope.format, 'byok-vault');
+  assert.equal(envelope.version, 1);
+  assert.deepEqual({ ...envelope.kdf, salt: undefined }, { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000, salt: undefined });
+  assert.equal(Buffer.from(envelope.kdf.salt, 'base64').length, 16);
+  assert.equal(envelope.cipher.name, 'AES-GCM');
+  assert.equal(Buffer.from(envelope.cipher.iv, 'base64').length, 12);
+  assert.ok(!blob.includes(OPENAI_KEY));
+
+  assert.equal(await open(backend).retrieveKey('openai'), OPENAI_KEY);
+});
+
+test('a version 0 vault is readable and re-encrypted as an envelope on the next write', async () => {
+  const backend = new MemoryBackend();
+  await backend.setItem('Envelope_byok_storage', await versionZeroBlob({ openai: OPENAI_KEY }, 'pw'));
+
+  const storage = open(backend);
+  assert.equal(await storage.retrieveKey('openai'), OPENAI_KEY);
+  await storage.storeKey(ANTHROPIC_KEY, 'anthropic');
+
+  assert.equal(JSON.parse(await backend.getItem(storage.storageKey)).version, 1);
+  const reopened = open(backend);
+  assert.equal(await reopened.retrieveKey('openai'), OPENAI_KEY);
+  assert.equal(await reopened.retrieveKey('anthropic'), ANTHROPIC_KEY);
+});
+
+test('an envelope with older parameters is readable and upgraded on the next write', async () => {
+  const backend = new MemoryBackend();
+  const vault = { openai: { defaultLabel: 'Default', keys: { Default: OPENAI_KEY } } };
+  await backend.setItem('Envelope_byok_storage', await envelopeBlob(vault, 'pw', 1000));
+
+  const storage = open(backend);
+  assert.equal(await storage.retrieveKey('openai'), OPENAI_KEY);
+  await storage.storeKey(ANTHROPIC_KEY, 'anthropic');
+  assert.equal(JSON.parse(await backend.getItem(storage.storageKey)).kdf.iterations, 100000);
+});
+
+test('device-key vaults record the key kind and need the same device key', async () => {
+  const backend = new MemoryBackend();
+  const deviceKeyStore = new MemoryKeyStore();
+  await open(backend, { encryptionPassword: undefined, deviceKeyStore }).storeKey(OPENAI_KEY, 'openai');
+
+  assert.deepEqual(JSON.parse(await backend.getItem('Envelope_byok_storage')).kdf, { name: 'device-key' });
+  assert.equal(await open(backend, { encryptionPassword: undefined, deviceKeyStore }).retrieveKey('openai'), OPENAI_KEY);
+  assert.equal(await open(backend, { encryptionPassword: undefined, deviceKeyStore: new MemoryKeyStore() }).isVaultReadable(), false);
+});
+
+test('an unreadable vault is reported and never overwritten', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const backend = new MemoryBackend();
+  await open(backend).storeKey(OPENAI_KEY, 'openai');
+  const envelope = JSON.parse(await backend.getItem('Envelope_byok_storage'));
+  const tampered = JSON.stringify({ ...envelope, ciphertext: toBase64(crypto.getRandomValues(new Uint8Array(64))) });
+  await backend.setItem('Envelope_byok_storage', tampered);
+
+  const storage = open(backend);
+  await assert.rejects(storage.getConfiguredProviders(), VaultUnreadableError);
+  assert.equal(await storage.isVaultReadable(), false);
+  assert.equal(await storage.storeKey(ANTHROPIC_KEY, 'anthropic'), false);
+  assert.equal(await storage.deleteKey('openai'), false);
+  assert.equal(await backend.getItem('Envelope_byok_storage'), tampered);
+});
+
+test('an envelope from a newer version is left alone', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const backend = new MemoryBackend();
+  const future = JSON.stringify({ format: 'byok-vault', version: 99, kdf: { name: 'future' }, ciphertext: '' });
+  await backend.setItem('Envelope_byok_storage', future);
+
+  const storage = open(backend);
+  assert.equal(await storage.isVaultReadable(), false);
+  assert.equal(await storage.storeKey(OPENAI_KEY, 'openai'), false);
+  assert.equal(await backend.getItem('Envelope_byok_storage'), future);
+});
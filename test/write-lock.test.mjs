@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lib, installLocalStorage, sleep } from './setup.mjs';
+
+const { SecureKeyStorage, MemoryBackend } = lib;
+
+const KEYS = {
+  openai: `sk-${'a'.repeat(40)}`,
+  anthropic: `sk-ant-${'b'.repeat(40)}`,
+  groq: `gsk_${'c'.repeat(40)}`,
+  mistral: 'd'.repeat(32),
+  deepseek: `sk-${'e'.repeat(32)}`
+};
+
+/**
+ * Backend with random latency, so overlapping read-modify-writes interleave
+ */
+class SlowBackend extends MemoryBackend {
+  async getItem(key) {
+    await sleep(Math.random() * 5);
+    return super.getItem(key);
+  }
+
+  async setItem(key, value) {
+    await sleep(Math.random() * 5);
+    return super.setItem(key, value);
+  }
+}
+
+const open = (backend) => new SecureKeyStorage('Lock', { backend, encryptionPassword: 'pw', deviceKeyStore: null, cacheTTL: 0 });
+
+test('overlapping writes in one tab all land', async () => {
+  const storage = open(new SlowBackend());
+  const results = await Promise.all(Object.entries(KEYS).map(([provider, key]) => storage.storeKey(key, provider)));
+
+  assert.deepEqual(results, Object.keys(KEYS).map(() => true));
+  assert.deepEqual((await storage.getConfiguredProviders()).sort(), Object.keys(KEYS).sort());
+});
+
+test('overlapping writes from several tabs all land', async () => {
+  const lease = installLocalStorage();
+  const backend = new SlowBackend();
+  const results = await Promise.all(Object.entries(KEYS).map(([provider, key]) => open(backend).storeKey(key, provider)));
+
+  assert.deepEqual(results, Object.keys(KEYS).map(() => true));
+  assert.deepEqual((await open(backend).getConfiguredProviders()).sort(), Object.keys(KEYS).sort());
+  assert.equal(lease.size, 0);
+});
+
+test('a failed write releases the lock', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const lease = installLocalStorage();
+  const backend = new MemoryBackend();
+  const storage = open(backend);
+  const setItem = backend.setItem;
+  backend.setItem = async () => {
+    throw new Error('Quota exceeded');
+  };
+
+  assert.equal(await storage.storeKey(KEYS.openai, 'openai'), false);
+  assert.equal(lease.size, 0);
+
+  backend.setItem = setItem;
+  assert.equal(await open(backend).storeKey(KEYS.anthropic, 'anthropic'), true);
+});
+
+test('a write that outlasts the lease keeps the lock until it finishes', async () => {
+  installLocalStorage();
+  const base = new MemoryBackend();
+  let stall = true;
+  const backend = {
+    getItem: (key) => base.getItem(key),
+    removeItem: (key) => base.removeItem(key),
+    async setItem(key, value) {
+      if (stall && key === 'Lock_byok_storage') {
+        stall = false;
+        // Longer than the 5 second lease
+        await sleep(6500);
+      }
+      return base.setItem(key, value);
+    }
+  };
+
+  const slowWrite = open(backend).storeKey(KEYS.openai, 'openai');
+  await sleep(100);
+  await open(backend).storeKey(KEYS.anthropic, 'anthropic');
+  await slowWrite;
+
+  assert.deepEqual((await open(base).getConfiguredProviders()).sort(), ['anthropic', 'openai']);
+});